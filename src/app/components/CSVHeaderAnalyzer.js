@@ -2,6 +2,13 @@
 
 import { useState } from "react";
 import { Upload, AlertCircle, XCircle, CheckCircle } from "lucide-react";
+import { decodeCSVBuffer, parseCSV } from "@/lib/validation";
+import {
+    isExcelFile,
+    readWorkbookRows,
+    readWorkbookSheetNames,
+} from "@/lib/validation/excel";
+import SheetPicker from "./SheetPicker";
 
 const CSVHeaderAnalyzer = ({
     onStructureSelect,
@@ -14,136 +21,189 @@ const CSVHeaderAnalyzer = ({
     const [currentFile, setCurrentFile] = useState(null);
     const [detectedShortname, setDetectedShortname] = useState(null);
     const [shortnameError, setShortnameError] = useState(null);
+    const [workbookSheets, setWorkbookSheets] = useState(null);
+    const [selectedSheet, setSelectedSheet] = useState(null);
 
-    const analyzeCSV = async (file) => {
-        setCurrentFile(file);
-        setIsAnalyzing(true);
-        setError(null);
-        setShortnameError(null);
-
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-            try {
-                const text = e.target.result;
-                const lines = text.split("\n").filter((line) => line.trim());
-
-                // Check first line for shortname
-                const firstLine = lines[0].trim().replace(/^"(.*)"$/, "$1");
-                const firstLineParts = firstLine
-                    .split(",")
-                    .map((part) => part.trim());
-                const potentialShortname =
-                    firstLineParts.length === 2 &&
-                    firstLineParts.every((part) => part !== "")
-                        ? firstLineParts[0]
-                        : null;
-
-                // Validate shortname if provided
-                if (structureShortName) {
-                    if (!potentialShortname) {
-                        setShortnameError(
-                            "Expected structure shortname in first row"
-                        );
-                        setIsAnalyzing(false);
-                        return;
-                    }
-                    if (potentialShortname !== structureShortName) {
-                        setShortnameError(
-                            `Expected shortname "${structureShortName}" but found "${potentialShortname}"`
-                        );
-                        setIsAnalyzing(false);
-                        return;
-                    }
-                }
+    // Find structures matching the headers of already-parsed rows
+    const analyzeRows = async (rows) => {
+        try {
+            if (rows.length === 0) {
+                setError("No headers found in CSV file");
+                setIsAnalyzing(false);
+                return;
+            }
 
-                // If first line is a single value, treat it as shortname and use second line for headers
-                const headerLine = potentialShortname ? lines[1] : lines[0];
+            // Check first row for shortname, ignoring the empty cells a
+            // spreadsheet pads it with
+            const firstRow = rows[0].slice(
+                0,
+                rows[0].findLastIndex((cell) => cell.trim() !== "") + 1
+            );
+            const potentialShortname =
+                firstRow.length === 2 && firstRow.every((part) => part !== "")
+                    ? firstRow[0]
+                    : null;
 
-                if (!headerLine) {
-                    setError("No headers found in CSV file");
+            // Validate shortname if provided
+            if (structureShortName) {
+                if (!potentialShortname) {
+                    setShortnameError(
+                        "Expected structure shortname in first row"
+                    );
                     setIsAnalyzing(false);
                     return;
                 }
-
-                const headers = headerLine
-                    .split(",")
-                    .map((h) => h.trim().replace(/^"(.*)"$/, "$1"))
-                    .filter(Boolean);
-
-                if (headers.length === 0) {
-                    setError("No valid headers found in CSV file");
+                if (potentialShortname !== structureShortName) {
+                    setShortnameError(
+                        `Expected shortname "${structureShortName}" but found "${potentialShortname}"`
+                    );
                     setIsAnalyzing(false);
                     return;
                 }
+            }
 
-                setHeaders(headers);
-                setDetectedShortname(potentialShortname);
+            // If first row is a shortname, use second row for headers
+            const headerRow = potentialShortname ? rows[1] : rows[0];
+
+            if (!headerRow) {
+                setError("No headers found in CSV file");
+                setIsAnalyzing(false);
+                return;
+            }
 
-                // Search for structures containing each header
-                const searchPromises = headers.map(async (header) => {
-                    try {
-                        const normalizedHeader = header
-                            .toLowerCase()
-                            .replace(/[_-]/g, "");
+            const headers = headerRow.filter(Boolean);
 
-                        let response = await fetch(
-                            `https://nda.nih.gov/api/datadictionary/datastructure/dataElement/${header}`
-                        );
+            if (headers.length === 0) {
+                setError("No valid headers found in CSV file");
+                setIsAnalyzing(false);
+                return;
+            }
 
-                        if (!response.ok) {
-                            response = await fetch(
-                                `https://nda.nih.gov/api/datadictionary/datastructure/dataElement/${normalizedHeader}`
-                            );
-                        }
-
-                        if (!response.ok) {
-                            return [];
-                        }
-
-                        const data = await response.json();
-                        return Array.isArray(data) ? data : [];
-                    } catch (error) {
-                        console.log(
-                            `Error fetching matches for field: ${header}`,
-                            error
+            setHeaders(headers);
+            setDetectedShortname(potentialShortname);
+
+            // Search for structures containing each header
+            const searchPromises = headers.map(async (header) => {
+                try {
+                    const normalizedHeader = header
+                        .toLowerCase()
+                        .replace(/[_-]/g, "");
+
+                    let response = await fetch(
+                        `https://nda.nih.gov/api/datadictionary/datastructure/dataElement/${header}`
+                    );
+
+                    if (!response.ok) {
+                        response = await fetch(
+                            `https://nda.nih.gov/api/datadictionary/datastructure/dataElement/${normalizedHeader}`
                         );
+                    }
+
+                    if (!response.ok) {
                         return [];
                     }
-                });
 
-                const headerResults = await Promise.all(searchPromises);
-
-                // Count matches for each structure
-                const structureCounts = {};
-                headerResults.forEach((structures, index) => {
-                    structures.forEach((structureName) => {
-                        if (!structureCounts[structureName]) {
-                            structureCounts[structureName] = {
-                                name: structureName,
-                                matchingFields: [],
-                                matchCount: 0,
-                            };
-                        }
-                        structureCounts[structureName].matchingFields.push(
-                            headers[index]
-                        );
-                        structureCounts[structureName].matchCount++;
-                    });
+                    const data = await response.json();
+                    return Array.isArray(data) ? data : [];
+                } catch (error) {
+                    console.log(
+                        `Error fetching matches for field: ${header}`,
+                        error
+                    );
+                    return [];
+                }
+            });
+
+            const headerResults = await Promise.all(searchPromises);
+
+            // Count matches for each structure
+            const structureCounts = {};
+            headerResults.forEach((structures, index) => {
+                structures.forEach((structureName) => {
+                    if (!structureCounts[structureName]) {
+                        structureCounts[structureName] = {
+                            name: structureName,
+                            matchingFields: [],
+                            matchCount: 0,
+                        };
+                    }
+                    structureCounts[structureName].matchingFields.push(
+                        headers[index]
+                    );
+                    structureCounts[structureName].matchCount++;
                 });
+            });
+
+            const sortedResults = Object.values(structureCounts)
+                .sort((a, b) => b.matchCount - a.matchCount)
+                .map((result) => ({
+                    ...result,
+                    matchPercentage: (result.matchCount / headers.length) * 100,
+                }));
+
+            setResults(sortedResults.length > 0 ? sortedResults : []);
+        } catch (err) {
+            console.error("Full error:", err);
+            setError("Error analyzing CSV: " + err.message);
+        } finally {
+            setIsAnalyzing(false);
+        }
+    };
+
+    const analyzeWorkbookSheet = async (file, sheet) => {
+        setIsAnalyzing(true);
+        let rows;
+        try {
+            rows = await readWorkbookRows(file, sheet);
+        } catch (err) {
+            console.error("Full error:", err);
+            setError("Failed to read Excel workbook");
+            setIsAnalyzing(false);
+            return;
+        }
+        await analyzeRows(rows);
+    };
+
+    const analyzeWorkbook = async (file) => {
+        try {
+            const sheetNames = await readWorkbookSheetNames(file);
+
+            // Let the user choose when there is more than one sheet
+            if (sheetNames.length > 1) {
+                setWorkbookSheets({ file, sheetNames });
+                setSelectedSheet(sheetNames[0]);
+                setIsAnalyzing(false);
+                return;
+            }
 
-                const sortedResults = Object.values(structureCounts)
-                    .sort((a, b) => b.matchCount - a.matchCount)
-                    .map((result) => ({
-                        ...result,
-                        matchPercentage:
-                            (result.matchCount / headers.length) * 100,
-                    }));
+            await analyzeWorkbookSheet(file, sheetNames[0]);
+        } catch (err) {
+            console.error("Full error:", err);
+            setError("Failed to read Excel workbook");
+            setIsAnalyzing(false);
+        }
+    };
 
-                setResults(sortedResults.length > 0 ? sortedResults : []);
+    const analyzeCSV = async (file) => {
+        setCurrentFile(file);
+        setIsAnalyzing(true);
+        setError(null);
+        setShortnameError(null);
+        setWorkbookSheets(null);
+
+        if (isExcelFile(file)) {
+            analyzeWorkbook(file);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const { text } = decodeCSVBuffer(e.target.result);
+                analyzeRows(parseCSV(text).rows);
             } catch (err) {
                 console.error("Full error:", err);
                 setError("Error analyzing CSV: " + err.message);
-            } finally {
                 setIsAnalyzing(false);
             }
         };
@@ -153,7 +213,7 @@ const CSVHeaderAnalyzer = ({
             setIsAnalyzing(false);
         };
 
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
     };
 
     return (
@@ -161,7 +221,7 @@ const CSVHeaderAnalyzer = ({
             <div className="border-2 border-dashed rounded-lg p-8 text-center">
                 <input
                     type="file"
-                    accept=".csv"
+                    accept=".csv,.tsv,.txt,.xlsx"
                     onChange={(e) =>
                         e.target.files?.[0] && analyzeCSV(e.target.files[0])
                     }
@@ -190,7 +250,7 @@ const CSVHeaderAnalyzer = ({
                             <Upload className="w-12 h-12 text-gray-400" />
                             <div>
                                 <span className="text-base text-gray-600">
-                                    Upload your CSV file
+                                    Upload your CSV or Excel file
                                 </span>
                                 <span className="text-sm text-gray-500 block">
                                     {structureShortName
@@ -203,6 +263,20 @@ const CSVHeaderAnalyzer = ({
                 </label>
             </div>
 
+            {workbookSheets && (
+                <SheetPicker
+                    sheetNames={workbookSheets.sheetNames}
+                    selectedSheet={selectedSheet}
+                    onSelectSheet={setSelectedSheet}
+                    onConfirm={(sheet) => {
+                        setError(null);
+                        setShortnameError(null);
+                        analyzeWorkbookSheet(workbookSheets.file, sheet);
+                    }}
+                    confirmLabel="Analyze Sheet"
+                />
+            )}
+
             {isAnalyzing && (
                 <div className="text-center py-4">
                     <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
@@ -1,43 +1,40 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { Upload, CheckCircle, XCircle, AlertCircle } from "lucide-react";
-
-// Helper function to standardize handedness values
-const standardizeHandedness = (value) => {
-    const handednessMap = {
-        left: "L",
-        l: "L",
-        right: "R",
-        r: "R",
-        both: "B",
-        ambidextrous: "B",
-    };
-
-    // Convert to lowercase for consistent matching
-    const lowerValue = value?.toString().toLowerCase();
-    return handednessMap[lowerValue] || value;
-};
-
-// Helper function to standardize boolean values to numeric
-const standardizeBinary = (value) => {
-    const binaryMap = {
-        true: "1",
-        false: "0",
-        t: "1",
-        f: "0",
-        TRUE: "1",
-        FALSE: "0",
-        True: "1",
-        False: "0",
-    };
-
-    // Try direct match first
-    if (value in binaryMap) return binaryMap[value];
-
-    // Try lowercase match
-    const lowerValue = value?.toString().toLowerCase();
-    return binaryMap[lowerValue] || value;
+import {
+    buildSubmissionCSV,
+    countInvalidSubjects,
+    DateFormats,
+    DEFAULT_STANDARDIZATION_RULES,
+    dropIdenticalDuplicates,
+    groupInvalidValues,
+    decodeCSVBuffer,
+    ImportFormats,
+    LineEndings,
+    mergeMappings,
+    parseCSV,
+    parseGuidLookup,
+    parseRedcapDictionary,
+} from "@/lib/validation";
+import {
+    isExcelFile,
+    readWorkbookRows,
+    readWorkbookSheetNames,
+} from "@/lib/validation/excel";
+import ElementPicker from "./ElementPicker";
+import RecodeEditor from "./RecodeEditor";
+import RecodeProposals from "./RecodeProposals";
+import SheetPicker from "./SheetPicker";
+import useValidationWorker from "./useValidationWorker";
+
+// What a mapping suggestion's score mostly rests on
+const MATCH_LABELS = {
+    name: "name",
+    alias: "alias",
+    tokens: "shared words",
+    description: "description",
+    context: "field label",
 };
 
 const CSVValidator = ({
@@ -57,7 +54,7 @@ const CSVValidator = ({
         setValidationResults: () => {},
         valueErrors: [],
         setValueErrors: () => {},
-        transformationCounts: { handedness: 0, binary: 0 },
+        transformationCounts: { handedness: 0, sex: 0, binary: 0, dates: 0 },
         setTransformationCounts: () => {},
     },
     onFileChange, // New prop to handle file changes
@@ -65,6 +62,37 @@ const CSVValidator = ({
     const [isValidating, setIsValidating] = useState(false);
     const [currentFile, setCurrentFile] = useState(initialCsvFile);
     const [csvContent, setCsvContent] = useState(null);
+    const [lineEnding, setLineEnding] = useState(LineEndings.CRLF);
+    const [workbookSheets, setWorkbookSheets] = useState(null);
+    const [selectedSheet, setSelectedSheet] = useState(null);
+    const [importFormat, setImportFormat] = useState(ImportFormats.CSV);
+    const [redcapDictionary, setRedcapDictionary] = useState(null);
+    const [dictionaryError, setDictionaryError] = useState(null);
+    const [keepQualtricsMetadata, setKeepQualtricsMetadata] = useState(false);
+    // Approved recode maps by column: { [column]: { value: code } }
+    const [approvedRecodes, setApprovedRecodes] = useState({});
+    // Per-column choices by header, e.g. { visit: { dateFormat: "..." } }
+    const [columnSettings, setColumnSettings] = useState({});
+    // Which column holds date of birth, and whether to derive interview_age
+    const [interviewAgeOptions, setInterviewAgeOptions] = useState({
+        dobColumn: null,
+        derive: false,
+    });
+    // Local ID -> GUID table: { fileName, lookup, idColumn }. Kept in memory
+    // only, as it links participants to their GUIDs.
+    const [guidLookup, setGuidLookup] = useState(null);
+    const [guidLookupError, setGuidLookupError] = useState(null);
+    // Fields identifying a record (null: the structure's NDA keys), and
+    // whether to drop exact repeats from the download
+    const [duplicateKeys, setDuplicateKeys] = useState(null);
+    const [dropExactDuplicates, setDropExactDuplicates] = useState(false);
+    // The user's own recodes for this structure: { [field]: { from: to } }
+    const [fieldRecodes, setFieldRecodes] = useState({});
+    const {
+        run: runWorker,
+        cancel: cancelWorker,
+        progress,
+    } = useValidationWorker();
 
     // Use state from props instead of local state
     const {
@@ -80,53 +108,13 @@ const CSVValidator = ({
         setTransformationCounts,
     } = validatorState;
 
-    // Initial standardization before validation
-    const standardizeValues = (headers, rows) => {
-        let handednessCount = 0;
-        let binaryCount = 0;
-
-        // First standardize the values
-        const standardizedRows = rows.map((row, rowIndex) => {
-            if (rowIndex === 0) return row; // Skip header
-
-            return row.map((value, colIndex) => {
-                const header = headers[colIndex];
-
-                // Always standardize handedness
-                if (header === "handedness") {
-                    const standardized = standardizeHandedness(value);
-                    if (standardized !== value) {
-                        console.log(
-                            `Standardized handedness: ${value} -> ${standardized}`
-                        );
-                        handednessCount++;
-                    }
-                    return standardized;
-                }
-
-                // For boolean/binary fields
-                if (header.endsWith("_flag") || header.includes("boolean")) {
-                    const standardized = standardizeBinary(value);
-                    if (standardized !== value) {
-                        console.log(
-                            `Standardized boolean: ${value} -> ${standardized}`
-                        );
-                        binaryCount++;
-                    }
-                    return standardized;
-                }
-
-                return value;
-            });
-        });
-
-        setTransformationCounts({
-            handedness: handednessCount,
-            binary: binaryCount,
-        });
-
-        return standardizedRows;
-    };
+    // Mappings as the last run applied them: automatic header matches with
+    // the user's own on top. Automatic matches aren't copied into
+    // selectedMappings, which would only trigger another full run.
+    const mappings = mergeMappings(
+        validationResults?.implicitMappings,
+        selectedMappings
+    );
 
     useEffect(() => {
         if (initialCsvFile && dataElements) {
@@ -135,214 +123,6 @@ const CSVValidator = ({
         }
     }, [initialCsvFile, dataElements]);
 
-    const calculateSimilarity = (str1, str2) => {
-        const track = Array(str2.length + 1)
-            .fill(null)
-            .map(() => Array(str1.length + 1).fill(null));
-        for (let i = 0; i <= str1.length; i += 1) {
-            track[0][i] = i;
-        }
-        for (let j = 0; j <= str2.length; j += 1) {
-            track[j][0] = j;
-        }
-        for (let j = 1; j <= str2.length; j += 1) {
-            for (let i = 1; i <= str1.length; i += 1) {
-                const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
-                track[j][i] = Math.min(
-                    track[j][i - 1] + 1,
-                    track[j - 1][i] + 1,
-                    track[j - 1][i - 1] + indicator
-                );
-            }
-        }
-        return (
-            1 -
-            track[str2.length][str1.length] / Math.max(str1.length, str2.length)
-        );
-    };
-
-    const findSimilarFields = (field) => {
-        const allFields = dataElements.map((el) => ({
-            name: el.name,
-            aliases: el.aliases || [],
-        }));
-
-        // First do exact matches with 100% similarity
-        const exactMatches = allFields
-            .filter((el) => el.name === field || el.aliases.includes(field))
-            .map((el) => ({
-                name: el.name,
-                similarity: 1,
-                aliases: el.aliases,
-            }));
-
-        if (exactMatches.length > 0) return exactMatches;
-
-        return allFields
-            .map((el) => {
-                // Split target field into parts
-                const targetParts = el.name.split("_");
-
-                // For exact matches at start or end
-                if (
-                    el.name === field ||
-                    el.name.endsWith(field) ||
-                    el.name.startsWith(field)
-                ) {
-                    return {
-                        name: el.name,
-                        similarity: 1,
-                        aliases: el.aliases,
-                    };
-                }
-
-                return {
-                    name: el.name,
-                    similarity: 0, // Default to no match
-                    aliases: el.aliases,
-                };
-            })
-            .filter((item) => {
-                // Skip exact matches
-                if (item.name === field) return false;
-
-                // Only keep perfect matches
-                return item.similarity > 0.95;
-            })
-            .sort((a, b) => b.similarity - a.similarity)
-            .slice(0, 3);
-    };
-    const parseValueRange = (rangeStr) => {
-        if (!rangeStr) return null;
-
-        // Handle numeric ranges with special values (e.g., "0::9999; -777; -999")
-        if (rangeStr.includes("::")) {
-            const parts = rangeStr.split(";").map((p) => p.trim());
-            const rangePart = parts.find((p) => p.includes("::"));
-            const [min, max] = rangePart.split("::").map(Number);
-
-            // Get any special values
-            const specialValues = parts
-                .filter((p) => !p.includes("::"))
-                .map((p) => p.trim());
-
-            return {
-                type: "range",
-                min,
-                max,
-                values: specialValues.length > 0 ? specialValues : null,
-                original: rangeStr,
-            };
-        }
-
-        // Handle categorical values (e.g., "Y;N")
-        if (rangeStr.includes(";")) {
-            const values = rangeStr.split(";").map((v) => v.trim());
-            return {
-                type: "enum",
-                values,
-                original: rangeStr,
-            };
-        }
-
-        return {
-            type: "unknown",
-            original: rangeStr,
-        };
-    };
-
-    const isValueInRange = (value, range) => {
-        if (!range) return true;
-        if (!value || value.toString().trim() === "") return true;
-
-        // Convert value to string for initial processing
-        const strValue = value.toString().trim();
-
-        switch (range.type) {
-            case "range": {
-                // Convert special values to numbers for comparison
-                const numValue = Number(strValue);
-
-                // Special values check first (-777, -999 etc)
-                if (range.values) {
-                    const specialNums = range.values.map((v) => Number(v));
-                    if (specialNums.includes(numValue)) {
-                        return true;
-                    }
-                }
-
-                // Then check numeric range
-                return (
-                    !isNaN(numValue) &&
-                    numValue >= range.min &&
-                    numValue <= range.max
-                );
-            }
-            case "enum":
-                return range.values.includes(strValue);
-            default:
-                return true;
-        }
-    };
-
-    const validateValues = (headers, rows, mappings) => {
-        const errors = [];
-        const valueRanges = {};
-
-        // Pre-process all value ranges
-        dataElements.forEach((element) => {
-            if (element.valueRange) {
-                valueRanges[element.name] = parseValueRange(element.valueRange);
-            }
-        });
-
-        // First standardize the values
-        let standardizedRows = rows.map((row, rowIndex) => {
-            if (rowIndex === 0) return row; // Skip header
-            return row.map((value, colIndex) => {
-                const header = headers[colIndex];
-                const mappedField = mappings[header] || header;
-                const range = valueRanges[mappedField];
-
-                // Standardize based on field type
-                if (
-                    range?.values?.includes("R") &&
-                    range?.values?.includes("L")
-                ) {
-                    return standardizeHandedness(value);
-                }
-                if (
-                    range?.values?.includes("0") &&
-                    range?.values?.includes("1")
-                ) {
-                    return standardizeBinary(value);
-                }
-                return value;
-            });
-        });
-
-        // Then validate
-        standardizedRows.slice(1).forEach((row, rowIndex) => {
-            headers.forEach((header, colIndex) => {
-                const value = row[colIndex];
-                const mappedField = mappings[header] || header;
-                const range = valueRanges[mappedField];
-
-                if (range && !isValueInRange(value, range)) {
-                    errors.push({
-                        row: rowIndex + 2,
-                        column: header,
-                        mappedField,
-                        value,
-                        expectedRange: range.original,
-                    });
-                }
-            });
-        });
-
-        return errors;
-    };
-
     const handleMappingChange = (originalField, mappedField) => {
         setSelectedMappings((prev) => {
             const newMappings = { ...prev };
@@ -353,14 +133,11 @@ const CSVValidator = ({
             }
             return newMappings;
         });
+    };
 
-        setValidationResults((prev) => ({
-            ...prev,
-            validFields: prev.validFields + (mappedField ? 1 : -1),
-            unknownFields: prev.unknownFields.filter(
-                (f) => f !== originalField
-            ),
-        }));
+    // Override an automatic header match; "" keeps the header unmapped
+    const overrideImplicitMapping = (header, field) => {
+        setSelectedMappings((prev) => ({ ...prev, [header]: field || header }));
     };
 
     const handleIgnoreField = (field) => {
@@ -392,7 +169,7 @@ const CSVValidator = ({
         const headerMapping = {};
         headers.forEach((header, index) => {
             // If there's a mapping for this header, use it; otherwise use original
-            headerMapping[index] = selectedMappings[header] || header;
+            headerMapping[index] = mappings[header] || header;
         });
 
         // Filter out ignored columns and apply mappings to headers
@@ -404,19 +181,28 @@ const CSVValidator = ({
             (index) => headerMapping[index]
         );
 
-        // For each data row, filter ignored columns (keeping order aligned with headers)
-        const validData = csvContent
-            .slice(1)
-            .map((row) => validHeaderIndices.map((index) => row[index]));
+        // For each data row, filter ignored columns (keeping order aligned with headers).
+        // The rows come from the last validation run, so they carry the
+        // current mappings' standardization and recodes.
+        const dataRows = csvContent.slice(1);
+        const outputRows = dropExactDuplicates
+            ? dropIdenticalDuplicates(
+                  dataRows,
+                  validationResults.duplicates || [],
+                  { rowOffset: validationResults.rowOffset }
+              )
+            : dataRows;
+        const validData = outputRows.map((row) =>
+            validHeaderIndices.map((index) => row[index])
+        );
 
         // Create CSV with shortName in first row, then mapped headers, then data
-        const newCSV = [
-            `${(structureShortName || "").slice(0, -2)},${(
-                structureShortName || ""
-            ).slice(-2)}`,
-            transformedHeaders.join(","),
-            ...validData.map((row) => row.join(",")),
-        ].join("\n");
+        const newCSV = buildSubmissionCSV({
+            shortName: structureShortName,
+            headers: transformedHeaders,
+            rows: validData,
+            lineEnding,
+        });
 
         const blob = new Blob([newCSV], { type: "text/csv" });
         const url = window.URL.createObjectURL(blob);
@@ -429,211 +215,916 @@ const CSVValidator = ({
         window.URL.revokeObjectURL(url);
     };
 
-    // Helper function to parse CSV lines properly handling quotes
-    const parseCSVLine = (line) => {
-        const cells = [];
-        let currentCell = "";
-        let isInQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-
-            if (char === '"') {
-                // If we see a quote right after a quote, it's an escaped quote
-                if (i + 1 < line.length && line[i + 1] === '"') {
-                    currentCell += '"';
-                    i++; // Skip next quote
-                    continue;
-                }
-                // Toggle quote state
-                isInQuotes = !isInQuotes;
-                continue;
-            }
+    // Load the saved recodes for this structure
+    useEffect(() => {
+        const saved = JSON.parse(localStorage.getItem("valueRecodes") || "{}");
+        setFieldRecodes(saved[structureShortName] || {});
+    }, [structureShortName]);
+
+    // Set (or with a null target, remove) one recode and save it
+    const updateFieldRecode = (field, value, target) => {
+        const fieldMap = { ...fieldRecodes[field] };
+        if (target === null) {
+            delete fieldMap[value];
+        } else {
+            fieldMap[value] = target;
+        }
 
-            if (char === "," && !isInQuotes) {
-                // End of cell
-                cells.push(currentCell.trim());
-                currentCell = "";
-                continue;
-            }
+        const next = { ...fieldRecodes, [field]: fieldMap };
+        if (Object.keys(fieldMap).length === 0) delete next[field];
+        setFieldRecodes(next);
+
+        const saved = JSON.parse(localStorage.getItem("valueRecodes") || "{}");
+        saved[structureShortName] = next;
+        localStorage.setItem("valueRecodes", JSON.stringify(saved));
+    };
+
+    const approveRecode = (column, map) => {
+        setApprovedRecodes((prev) => ({ ...prev, [column]: map }));
+    };
+
+    const revokeRecode = (column) => {
+        setApprovedRecodes((prev) => {
+            const { [column]: removed, ...rest } = prev;
+            return rest;
+        });
+    };
 
-            currentCell += char;
+    // Store a validation report from the engine in component state
+    const applyReport = (report) => {
+        // Call the callback with the headers
+        if (onHeadersChange && report.headers) {
+            onHeadersChange(report.headers);
         }
 
-        // Push the last cell
-        cells.push(currentCell.trim());
+        if (report.error) {
+            setValidationResults({ error: report.error });
+            return;
+        }
 
-        return cells;
+        const { rows, ...results } = report;
+        setCsvContent([results.headers, ...rows]);
+        setTransformationCounts(results.transformations);
+        setValueErrors(results.valueErrors);
+        setValidationResults(results);
     };
 
-    const validateCSV = async (file) => {
-        setCurrentFile(file);
-        if (onFileChange) {
-            onFileChange(file); // Propagate file change up
+    // The file or sheet rows last sent for validation, re-run when a setting
+    // or mapping changes
+    const sourceRef = useRef(null);
+
+    // Run the engine in the worker with the selected import format.
+    // `source` is { file } for CSV/TSV uploads or { rows } for a sheet.
+    const runValidation = (source) => {
+        sourceRef.current = source;
+        return runWorker({
+            ...source,
+            dataElements: dataElements || [],
+            options: {
+                mappings: selectedMappings,
+                ignoredFields,
+                structureShortName,
+                format: importFormat,
+                redcapDictionary: redcapDictionary?.fields,
+                keepQualtricsMetadata,
+                recodes: fieldRecodes,
+                columnRecodes: approvedRecodes,
+                columnSettings,
+                duplicateKeys,
+                dropExactDuplicates,
+                interviewAge: interviewAgeOptions,
+                guidLookup: guidLookup && {
+                    lookup: guidLookup.lookup,
+                    idColumn: guidLookup.idColumn,
+                },
+            },
+        });
+    };
+
+    // Approved recodes belong to the previous upload; keep the same object
+    // when there are none so the revalidation effect doesn't run again
+    const resetApprovedRecodes = () =>
+        setApprovedRecodes((prev) =>
+            Object.keys(prev).length > 0 ? {} : prev
+        );
+
+    const validateWorkbookSheet = async (file, sheet) => {
+        resetApprovedRecodes();
+        setIsValidating(true);
+        try {
+            const rows = await readWorkbookRows(file, sheet);
+            applyReport(await runValidation({ rows }));
+        } catch (error) {
+            if (error.name === "AbortError") return;
+            console.error("Validation error:", error);
+            setValidationResults({
+                error: "Failed to read Excel workbook. Please ensure it's a valid .xlsx file.",
+            });
         }
+        setIsValidating(false);
+    };
+
+    const validateWorkbook = async (file) => {
         setIsValidating(true);
-        const reader = new FileReader();
+        try {
+            const sheetNames = await readWorkbookSheetNames(file);
 
-        reader.onload = async (e) => {
-            try {
-                const text = e.target.result;
-                const lines = text.split("\n").filter((line) => line.trim());
-
-                // Parse each line properly handling quotes
-                const rows = lines.map((line) => parseCSVLine(line));
-
-                // Check if first row is a shortname (single value, no commas)
-                const firstRow = rows[0];
-                // Check if first row follows shortname,version format
-                const isSubmissionTemplate =
-                    firstRow.length <= 2 &&
-                    firstRow.every((cell) => cell.trim() !== "");
-
-                // Get the actual headers row based on file format
-                const headers = isSubmissionTemplate ? rows[1] : rows[0];
-
-                // Call the callback with the headers
-                if (onHeadersChange) {
-                    onHeadersChange(headers);
-                }
-
-                // If this is a submission template and we have an expected shortname
-                if (isSubmissionTemplate && structureShortName) {
-                    // Get the base name (e.g., "demographics" from "demographics02")
-                    const expectedBaseName = structureShortName.replace(
-                        /\d+$/,
-                        ""
-                    );
-
-                    // Get the actual base name and version from the CSV
-                    const [actualBaseName, actualVersion] = firstRow;
-
-                    // Check if the base name matches and version is a number
-                    if (
-                        !actualBaseName.startsWith(expectedBaseName) ||
-                        !/^\d+$/.test(actualVersion)
-                    ) {
-                        setValidationResults({
-                            error: `Invalid structure shortname. Found "${actualBaseName},${actualVersion}". Should be "${expectedBaseName}" followed by a version number`,
-                        });
-                        setIsValidating(false);
-                        return;
-                    }
-                }
-
-                // For submission templates, exclude the shortname row from data rows
-                const dataRows = isSubmissionTemplate
-                    ? rows.slice(2)
-                    : rows.slice(1);
-
-                // Standardize values before validation
-                const standardizedRows = standardizeValues(headers, [
-                    headers,
-                    ...dataRows,
-                ]);
-                setCsvContent(standardizedRows);
-
-                if (dataElements) {
-                    const requiredFields = dataElements
-                        .filter((el) => el.required === "Required")
-                        .map((el) => el.name);
-
-                    const recommendedFields = dataElements
-                        .filter((el) => el.required === "Recommended")
-                        .map((el) => el.name);
-
-                    const missingRequired = requiredFields.filter(
-                        (field) => !headers.includes(field)
-                    );
-                    const missingRecommended = recommendedFields.filter(
-                        (field) => !headers.includes(field)
-                    );
-                    const unknownFields = headers.filter(
-                        (header) =>
-                            !requiredFields.includes(header) &&
-                            !recommendedFields.includes(header)
-                    );
-
-                    const valueValidationErrors = validateValues(
-                        headers,
-                        [headers, ...dataRows],
-                        selectedMappings
-                    );
-                    setValueErrors(valueValidationErrors);
-
-                    const suggestions = unknownFields.map((field) => ({
-                        field,
-                        similarFields: findSimilarFields(field),
-                    }));
-
-                    const results = {
-                        totalFields: headers.length,
-                        validFields: headers.filter(
-                            (h) =>
-                                requiredFields.includes(h) ||
-                                recommendedFields.includes(h)
-                        ).length,
-                        missingRequired,
-                        missingRecommended,
-                        unknownFields,
-                        suggestions: suggestions.filter(
-                            (s) => s.similarFields.length > 0
-                        ),
-                        // Separate validity checks
-                        hasAllRequiredFields: missingRequired.length === 0,
-                        hasValidRanges: valueValidationErrors.length === 0,
-                        isValid:
-                            missingRequired.length === 0 &&
-                            unknownFields.filter((f) => !ignoredFields.has(f))
-                                .length === 0 &&
-                            valueValidationErrors.length === 0,
-                        headers,
-                        valueErrors: valueValidationErrors,
-                        transformations: transformationCounts,
-                        isSubmissionTemplate,
-                        detectedShortname: isSubmissionTemplate
-                            ? firstRow[0]
-                            : null,
-                    };
-
-                    setValidationResults(results);
-                }
-            } catch (error) {
-                console.error("Validation error:", error);
-                setValidationResults({
-                    error: "Failed to parse CSV file. Please ensure it's properly formatted.",
-                });
-            } finally {
+            // Let the user choose when there is more than one sheet
+            if (sheetNames.length > 1) {
+                setWorkbookSheets({ file, sheetNames });
+                setSelectedSheet(sheetNames[0]);
                 setIsValidating(false);
+                return;
             }
-        };
 
-        reader.onerror = () => {
+            await validateWorkbookSheet(file, sheetNames[0]);
+        } catch (error) {
+            console.error("Validation error:", error);
             setValidationResults({
-                error: "Failed to read file. Please try again.",
+                error: "Failed to read Excel workbook. Please ensure it's a valid .xlsx file.",
             });
             setIsValidating(false);
+        }
+    };
+
+    // Stop a running validation; the upload is left unvalidated
+    const cancelValidation = () => {
+        cancelWorker();
+        setIsValidating(false);
+        setValidationResults(null);
+    };
+
+    const readingPercent = progress?.total
+        ? Math.round((progress.loaded / progress.total) * 100)
+        : 0;
+
+    const loadRedcapDictionary = (file) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const { text } = decodeCSVBuffer(e.target.result);
+                const fields = parseRedcapDictionary(parseCSV(text).rows);
+                setRedcapDictionary({ fileName: file.name, fields });
+                setDictionaryError(null);
+            } catch (error) {
+                console.error("Dictionary error:", error);
+                setDictionaryError(error.message);
+            }
         };
+        reader.onerror = () => {
+            setDictionaryError("Failed to read data dictionary");
+        };
+        reader.readAsArrayBuffer(file);
+    };
 
-        reader.readAsText(file);
+    const loadGuidLookup = (file) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const { text } = decodeCSVBuffer(e.target.result);
+                const lookup = parseGuidLookup(parseCSV(text).rows);
+                setGuidLookup({ fileName: file.name, lookup, idColumn: null });
+                setGuidLookupError(null);
+            } catch (error) {
+                console.error("GUID lookup error:", error);
+                setGuidLookupError(error.message);
+            }
+        };
+        reader.onerror = () => {
+            setGuidLookupError("Failed to read GUID lookup table");
+        };
+        reader.readAsArrayBuffer(file);
     };
 
+    // Re-run the whole pipeline in the worker when the import format, a
+    // setting, a mapping or a recode changes, so every panel and the
+    // download reflect it. The effect calls whatever the latest render put in
+    // the ref, so the run sees current state rather than that of an older
+    // render.
+    const revalidateRef = useRef(null);
+    revalidateRef.current = async () => {
+        if (!sourceRef.current) return;
+
+        setIsValidating(true);
+        try {
+            applyReport(await runValidation(sourceRef.current));
+        } catch (error) {
+            if (error.name === "AbortError") return;
+            console.error("Validation error:", error);
+            setValidationResults({ error: "Failed to re-validate the file." });
+        }
+        setIsValidating(false);
+    };
     useEffect(() => {
-        if (csvContent && dataElements) {
-            const valueValidationErrors = validateValues(
-                csvContent[0],
-                csvContent,
-                selectedMappings
-            );
-            setValueErrors(valueValidationErrors);
-            setValidationResults((prev) =>
-                prev ? { ...prev, valueErrors: valueValidationErrors } : null
+        revalidateRef.current();
+    }, [
+        importFormat,
+        redcapDictionary,
+        keepQualtricsMetadata,
+        columnSettings,
+        interviewAgeOptions,
+        guidLookup,
+        selectedMappings,
+        fieldRecodes,
+        approvedRecodes,
+        duplicateKeys,
+        dropExactDuplicates,
+    ]);
+
+    // Pick the source date format for a column; "" goes back to detection
+    const setColumnDateFormat = (column, dateFormat) => {
+        setColumnSettings((prev) => ({
+            ...prev,
+            [column]: { ...prev[column], dateFormat: dateFormat || null },
+        }));
+    };
+
+    const validateCSV = async (file) => {
+        setCurrentFile(file);
+        setWorkbookSheets(null);
+        resetApprovedRecodes();
+        if (onFileChange) {
+            onFileChange(file); // Propagate file change up
+        }
+
+        if (isExcelFile(file)) {
+            validateWorkbook(file);
+            return;
+        }
+
+        setIsValidating(true);
+        try {
+            applyReport(await runValidation({ file }));
+        } catch (error) {
+            if (error.name === "AbortError") return;
+            console.error("Validation error:", error);
+            setValidationResults({
+                error: "Failed to parse CSV file. Please ensure it's properly formatted.",
+            });
+        }
+        setIsValidating(false);
+    };
+
+    const renderStructureErrors = () => {
+        const { structureErrors } = validationResults;
+        if (!structureErrors || validationResults.hasValidStructure) {
+            return null;
+        }
+        const { duplicateHeaders, blankHeaders, raggedRows } = structureErrors;
+
+        return (
+            <div className="bg-red-50 p-4 rounded">
+                <h4 className="font-medium text-red-800 mb-2 flex items-center">
+                    <XCircle className="w-5 h-5 mr-2" />
+                    File Structure Problems
+                </h4>
+                <p className="text-sm text-red-700 mb-2">
+                    Fix these in the file first; until then values may be
+                    checked against the wrong columns.
+                </p>
+                <ul className="space-y-1 text-sm text-red-800">
+                    {duplicateHeaders.map(({ header, columns }) => (
+                        <li key={header}>
+                            Header{" "}
+                            <span className="font-mono">
+                                &quot;{header}&quot;
+                            </span>{" "}
+                            appears in columns {columns.join(", ")}
+                        </li>
+                    ))}
+                    {blankHeaders.length > 0 && (
+                        <li>
+                            Blank header in column
+                            {blankHeaders.length > 1 && "s"}{" "}
+                            {blankHeaders.join(", ")}
+                        </li>
+                    )}
+                    {raggedRows.slice(0, 20).map(({ row, cells, expected }) => (
+                        <li key={row}>
+                            Row {row} has {cells} cells; the header has{" "}
+                            {expected}
+                        </li>
+                    ))}
+                    {raggedRows.length > 20 && (
+                        <li>...and {raggedRows.length - 20} more rows</li>
+                    )}
+                </ul>
+            </div>
+        );
+    };
+
+    const renderImportSummary = () => {
+        const summary = validationResults.importSummary;
+        if (!summary) return null;
+
+        if (summary.format === ImportFormats.QUALTRICS) {
+            return (
+                <div className="bg-gray-50 p-4 rounded">
+                    <h4 className="font-medium text-gray-800 mb-2">
+                        Qualtrics Import
+                    </h4>
+                    <div className="space-y-1 text-sm">
+                        {summary.detected ? (
+                            <p className="text-green-700">
+                                ✓ Removed the question text and ImportId header
+                                rows
+                            </p>
+                        ) : (
+                            <p className="text-orange-700">
+                                ⚠ No Qualtrics header rows found; the file was
+                                read as a plain CSV
+                            </p>
+                        )}
+                        {summary.droppedColumns.length > 0 && (
+                            <p className="text-green-700">
+                                ✓ Dropped {summary.droppedColumns.length}{" "}
+                                metadata columns:{" "}
+                                {summary.droppedColumns.join(", ")}
+                            </p>
+                        )}
+                    </div>
+                    <label className="flex items-center mt-2 text-sm text-gray-600">
+                        <input
+                            type="checkbox"
+                            checked={keepQualtricsMetadata}
+                            onChange={(e) =>
+                                setKeepQualtricsMetadata(e.target.checked)
+                            }
+                            className="mr-2"
+                        />
+                        Keep Qualtrics metadata columns
+                    </label>
+                </div>
             );
         }
-    }, [selectedMappings]);
+
+        return (
+            <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-medium text-gray-800 mb-2">
+                    REDCap Import
+                </h4>
+                <div className="space-y-1 text-sm">
+                    <p className="text-green-700">
+                        ✓ Matched {summary.matchedFields.length} variables to
+                        the data dictionary
+                    </p>
+                    {summary.checkboxColumns.length > 0 && (
+                        <p className="text-green-700">
+                            ✓ Recognised {summary.checkboxColumns.length}{" "}
+                            checkbox columns
+                        </p>
+                    )}
+                    {summary.decodedValues > 0 && (
+                        <p className="text-green-700">
+                            ✓ Decoded {summary.decodedValues} choice labels to
+                            their codes
+                        </p>
+                    )}
+                    {summary.unmatchedFields.length > 0 && (
+                        <p className="text-orange-700">
+                            ⚠ Not in the data dictionary:{" "}
+                            {summary.unmatchedFields.join(", ")}
+                        </p>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    // Headers matched to an element by case, punctuation or alias
+    const renderImplicitMappings = () => {
+        const matches = Object.entries(
+            validationResults.implicitMappings || {}
+        );
+        if (matches.length === 0) return null;
+
+        return (
+            <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-medium text-gray-800 mb-1">
+                    Matched Headers ({matches.length})
+                </h4>
+                <p className="text-sm text-gray-600 mb-2">
+                    These headers were matched automatically and will be written
+                    with the element name in the download.
+                </p>
+                <div className="space-y-2 text-sm">
+                    {matches.map(([header, { name, matchedOn }]) => {
+                        const mapped = mappings[header] || header;
+                        return (
+                            <div
+                                key={header}
+                                className="flex items-center gap-2"
+                            >
+                                <span className="font-mono w-48 truncate">
+                                    {header}
+                                </span>
+                                <select
+                                    value={mapped === header ? "" : mapped}
+                                    onChange={(e) =>
+                                        overrideImplicitMapping(
+                                            header,
+                                            e.target.value
+                                        )
+                                    }
+                                    className="border rounded px-2 py-1 font-mono"
+                                >
+                                    <option value="">Don&apos;t map</option>
+                                    {(dataElements || []).map((element) => (
+                                        <option
+                                            key={element.name}
+                                            value={element.name}
+                                        >
+                                            {element.name}
+                                        </option>
+                                    ))}
+                                </select>
+                                <span className="text-gray-500">
+                                    {mapped !== name
+                                        ? "overridden"
+                                        : matchedOn === "alias"
+                                        ? "alias"
+                                        : "case/punctuation"}
+                                </span>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        );
+    };
+
+    // Map any header not spelled like an element to any element of the
+    // structure, not just the suggested ones
+    const renderFieldMappings = () => {
+        if (!csvContent || !dataElements) return null;
+        const knownFields = dataElements.map((element) => element.name);
+        const headers = csvContent[0].filter(
+            (header) =>
+                !knownFields.includes(header) &&
+                !validationResults.implicitMappings?.[header] &&
+                !ignoredFields.has(header)
+        );
+        const duplicateMappings = validationResults.duplicateMappings || [];
+        if (headers.length === 0 && duplicateMappings.length === 0) {
+            return null;
+        }
+
+        // Headers mapped to each element, to flag elements already taken
+        const headersByField = {};
+        csvContent[0].forEach((header) => {
+            const field = mappings[header] || header;
+            (headersByField[field] = headersByField[field] || []).push(header);
+        });
+
+        return (
+            <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-medium text-gray-800 mb-1">Map Fields</h4>
+                <p className="text-sm text-gray-600 mb-2">
+                    Map a column to any element of the structure when the right
+                    one isn&apos;t suggested.
+                </p>
+                {duplicateMappings.length > 0 && (
+                    <div className="bg-orange-50 text-orange-800 text-sm p-2 rounded mb-2">
+                        {duplicateMappings.map(({ field, headers }) => (
+                            <div key={field}>
+                                ⚠ {headers.map((h) => `"${h}"`).join(", ")} are
+                                all mapped to{" "}
+                                <span className="font-mono">{field}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+                <div className="space-y-2 text-sm">
+                    {headers.map((header) => (
+                        <div key={header} className="flex items-start gap-2">
+                            <span className="font-mono w-48 truncate py-1">
+                                {header}
+                            </span>
+                            <div className="flex-1">
+                                <ElementPicker
+                                    dataElements={dataElements}
+                                    value={mappings[header] || null}
+                                    onChange={(field) =>
+                                        handleMappingChange(header, field)
+                                    }
+                                    takenBy={Object.fromEntries(
+                                        Object.entries(headersByField).map(
+                                            ([field, fieldHeaders]) => [
+                                                field,
+                                                fieldHeaders.filter(
+                                                    (h) => h !== header
+                                                ),
+                                            ]
+                                        )
+                                    )}
+                                />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    };
+
+    const renderDateColumns = () => {
+        const dateColumns = validationResults.dateColumns || [];
+        if (dateColumns.length === 0) return null;
+
+        return (
+            <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-medium text-gray-800 mb-1">Date Columns</h4>
+                <p className="text-sm text-gray-600 mb-2">
+                    Dates are converted to NDA&apos;s MM/DD/YYYY format. Pick
+                    the source format when a column can&apos;t be detected.
+                </p>
+                <div className="space-y-2 text-sm">
+                    {dateColumns.map(
+                        ({ column, mappedField, detectedFormat, format }) => (
+                            <div
+                                key={column}
+                                className="flex items-center gap-2"
+                            >
+                                <span className="font-mono w-48 truncate">
+                                    {column}
+                                    {mappedField !== column &&
+                                        ` → ${mappedField}`}
+                                </span>
+                                <select
+                                    value={format || ""}
+                                    onChange={(e) =>
+                                        setColumnDateFormat(
+                                            column,
+                                            e.target.value
+                                        )
+                                    }
+                                    className="border rounded px-2 py-1"
+                                >
+                                    <option value="">
+                                        Detect (
+                                        {detectedFormat || "mixed formats"})
+                                    </option>
+                                    <option value={DateFormats.NDA}>
+                                        MM/DD/YYYY
+                                    </option>
+                                    <option value={DateFormats.EUROPEAN}>
+                                        DD/MM/YYYY
+                                    </option>
+                                    <option value={DateFormats.ISO}>
+                                        YYYY-MM-DD
+                                    </option>
+                                    <option value={DateFormats.EXCEL}>
+                                        Excel serial number
+                                    </option>
+                                </select>
+                                {!format && !detectedFormat && (
+                                    <span className="text-orange-700">
+                                        ⚠ Mixes day-first and month-first dates
+                                    </span>
+                                )}
+                            </div>
+                        )
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    const renderInterviewAge = () => {
+        const summary = validationResults.interviewAge;
+        if (!summary || (!summary.ageColumn && !summary.dateColumn)) {
+            return null;
+        }
+
+        return (
+            <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-medium text-gray-800 mb-2">
+                    Interview Age
+                </h4>
+                <div className="space-y-2 text-sm">
+                    {summary.looksLikeYears && (
+                        <p className="text-orange-700">
+                            ⚠ {summary.ageColumn} looks like it&apos;s in years.
+                            NDA expects interview_age in months.
+                        </p>
+                    )}
+                    {summary.mismatches.length > 0 && (
+                        <div className="text-orange-700">
+                            <p>
+                                ⚠ {summary.mismatches.length} rows disagree with
+                                the dates by more than a month:
+                            </p>
+                            <ul className="ml-4 mt-1">
+                                {summary.mismatches
+                                    .slice(0, 20)
+                                    .map(({ row, provided, expected }) => (
+                                        <li key={row}>
+                                            Row {row}: {provided} given,{" "}
+                                            {expected} from the dates
+                                        </li>
+                                    ))}
+                                {summary.mismatches.length > 20 && (
+                                    <li>
+                                        ...and {summary.mismatches.length - 20}{" "}
+                                        more
+                                    </li>
+                                )}
+                            </ul>
+                        </div>
+                    )}
+                    {summary.derived > 0 && (
+                        <p className="text-green-700">
+                            ✓ Filled in {summary.derived} ages from{" "}
+                            {summary.dobColumn} and {summary.dateColumn}
+                        </p>
+                    )}
+
+                    {summary.dateColumn && (
+                        <div className="flex items-center gap-2">
+                            <span className="text-gray-600">
+                                Date of birth column:
+                            </span>
+                            <select
+                                value={summary.dobColumn || ""}
+                                onChange={(e) =>
+                                    setInterviewAgeOptions((prev) => ({
+                                        ...prev,
+                                        dobColumn: e.target.value || null,
+                                    }))
+                                }
+                                className="border rounded px-2 py-1"
+                            >
+                                <option value="">None</option>
+                                {validationResults.headers.map((header) => (
+                                    <option key={header} value={header}>
+                                        {header}
+                                    </option>
+                                ))}
+                            </select>
+                            {summary.canDerive && (
+                                <label className="flex items-center text-gray-600">
+                                    <input
+                                        type="checkbox"
+                                        checked={interviewAgeOptions.derive}
+                                        onChange={(e) =>
+                                            setInterviewAgeOptions((prev) => ({
+                                                ...prev,
+                                                derive: e.target.checked,
+                                            }))
+                                        }
+                                        className="mr-2"
+                                    />
+                                    Derive interview_age from the dates
+                                </label>
+                            )}
+                        </div>
+                    )}
+                    {summary.dobColumn &&
+                        !ignoredFields.has(summary.dobColumn) && (
+                            <p className="text-gray-600">
+                                Date of birth is identifying; ignore{" "}
+                                <span className="font-mono">
+                                    {summary.dobColumn}
+                                </span>{" "}
+                                before submitting.{" "}
+                                <button
+                                    onClick={() =>
+                                        handleIgnoreField(summary.dobColumn)
+                                    }
+                                    className="text-blue-600 hover:underline"
+                                >
+                                    Ignore column
+                                </button>
+                            </p>
+                        )}
+                </div>
+            </div>
+        );
+    };
+
+    const renderGuidLookup = () => {
+        const summary = validationResults.guidLookup;
+        if (!summary) return null;
+
+        return (
+            <div className="bg-gray-50 p-4 rounded">
+                <h4 className="font-medium text-gray-800 mb-2">GUID Lookup</h4>
+                <div className="space-y-2 text-sm">
+                    <div className="flex items-center gap-2">
+                        <span className="text-gray-600">Local ID column:</span>
+                        <select
+                            value={
+                                guidLookup?.idColumn || summary.idColumn || ""
+                            }
+                            onChange={(e) =>
+                                setGuidLookup((prev) => ({
+                                    ...prev,
+                                    idColumn: e.target.value || null,
+                                }))
+                            }
+                            className="border rounded px-2 py-1"
+                        >
+                            <option value="">Choose a column</option>
+                            {validationResults.headers.map((header) => (
+                                <option key={header} value={header}>
+                                    {header}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    {!summary.idColumn && (
+                        <p className="text-orange-700">
+                            ⚠ No src_subject_id column; choose the column
+                            holding your local IDs
+                        </p>
+                    )}
+                    {summary.filled > 0 && (
+                        <p className="text-green-700">
+                            ✓ Filled in {summary.filled} subject GUIDs
+                        </p>
+                    )}
+                    {summary.unmatched.length > 0 && (
+                        <div className="text-orange-700">
+                            <p>
+                                ⚠ {summary.unmatched.length} rows have a local
+                                ID that isn&apos;t in the lookup:
+                            </p>
+                            <ul className="ml-4 mt-1">
+                                {summary.unmatched
+                                    .slice(0, 20)
+                                    .map(({ row, localId }) => (
+                                        <li key={row}>
+                                            Row {row}:{" "}
+                                            <span className="font-mono">
+                                                {localId}
+                                            </span>
+                                        </li>
+                                    ))}
+                                {summary.unmatched.length > 20 && (
+                                    <li>
+                                        ...and {summary.unmatched.length - 20}{" "}
+                                        more
+                                    </li>
+                                )}
+                            </ul>
+                        </div>
+                    )}
+                    {summary.conflicts.length > 0 && (
+                        <div className="text-orange-700">
+                            <p>
+                                ⚠ {summary.conflicts.length} rows already have a
+                                different subjectkey than the lookup (the
+                                file&apos;s value was kept):
+                            </p>
+                            <ul className="ml-4 mt-1">
+                                {summary.conflicts
+                                    .slice(0, 20)
+                                    .map(({ row, localId, existing, guid }) => (
+                                        <li key={row}>
+                                            Row {row} (
+                                            <span className="font-mono">
+                                                {localId}
+                                            </span>
+                                            ):{" "}
+                                            <span className="font-mono">
+                                                {existing}
+                                            </span>{" "}
+                                            in the file,{" "}
+                                            <span className="font-mono">
+                                                {guid}
+                                            </span>{" "}
+                                            in the lookup
+                                        </li>
+                                    ))}
+                                {summary.conflicts.length > 20 && (
+                                    <li>
+                                        ...and {summary.conflicts.length - 20}{" "}
+                                        more
+                                    </li>
+                                )}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    // Add or remove a field from the record key
+    const toggleDuplicateKey = (field) => {
+        const keys = validationResults.recordKeys || [];
+        setDuplicateKeys(
+            keys.includes(field)
+                ? keys.filter((key) => key !== field)
+                : [...keys, field]
+        );
+    };
+
+    const renderDuplicates = () => {
+        const { duplicates = [], recordKeys = [] } = validationResults;
+        const fields = [
+            ...new Set(
+                validationResults.headers.map(
+                    (header) => mappings[header] || header
+                )
+            ),
+        ];
+
+        return (
+            <div
+                className={`p-4 rounded ${
+                    duplicates.length > 0 ? "bg-orange-50" : "bg-gray-50"
+                }`}
+            >
+                <h4 className="font-medium text-gray-800 mb-2">
+                    Duplicate Records
+                    {duplicates.length > 0 && ` (${duplicates.length})`}
+                </h4>
+                <div className="space-y-2 text-sm">
+                    <div>
+                        <span className="text-gray-600">Record key: </span>
+                        <div className="flex flex-wrap gap-2 mt-1">
+                            {fields.map((field) => (
+                                <label
+                                    key={field}
+                                    className="flex items-center font-mono text-xs bg-white border rounded px-2 py-1"
+                                >
+                                    <input
+                                        type="checkbox"
+                                        checked={recordKeys.includes(field)}
+                                        onChange={() =>
+                                            toggleDuplicateKey(field)
+                                        }
+                                        className="mr-1"
+                                    />
+                                    {field}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    {recordKeys.length === 0 ? (
+                        <p className="text-gray-600">
+                            Choose the fields that identify a record to check
+                            for duplicates.
+                        </p>
+                    ) : duplicates.length === 0 ? (
+                        <p className="text-green-700">
+                            ✓ No two rows share the same {recordKeys.join(", ")}
+                        </p>
+                    ) : (
+                        <>
+                            <ul className="space-y-1 max-h-60 overflow-y-auto">
+                                {duplicates.map((duplicate) => (
+                                    <li
+                                        key={duplicate.rows.join(",")}
+                                        className="flex items-center gap-2"
+                                    >
+                                        <span
+                                            className={`px-2 py-0.5 rounded-full text-xs ${
+                                                duplicate.identical
+                                                    ? "bg-gray-200 text-gray-800"
+                                                    : "bg-red-100 text-red-800"
+                                            }`}
+                                        >
+                                            {duplicate.identical
+                                                ? "Identical"
+                                                : "Conflicting"}
+                                        </span>
+                                        <span className="font-mono">
+                                            {Object.values(duplicate.key).join(
+                                                ", "
+                                            )}
+                                        </span>
+                                        <span className="text-gray-600">
+                                            rows {duplicate.rows.join(", ")}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <label className="flex items-center text-gray-600">
+                                <input
+                                    type="checkbox"
+                                    checked={dropExactDuplicates}
+                                    onChange={(e) =>
+                                        setDropExactDuplicates(e.target.checked)
+                                    }
+                                    className="mr-2"
+                                />
+                                Drop exact duplicates from the corrected CSV
+                            </label>
+                        </>
+                    )}
+                </div>
+            </div>
+        );
+    };
 
     const renderTransformationSummary = () => {
-        const { handedness, binary } = validationResults.transformations;
+        const counts = validationResults.transformations;
+        const appliedRules = DEFAULT_STANDARDIZATION_RULES.filter(
+            (rule) => counts[rule.id] > 0
+        );
+        const { recodedValues = 0 } = validationResults;
         const unfixableValues = valueErrors.reduce((acc, error) => {
             // Group by field and value to get unique problems
             const key = `${error.column}_${error.value}`;
@@ -651,8 +1142,8 @@ const CSVValidator = ({
 
         // Only show if we have any transformations or unfixable values
         if (
-            handedness === 0 &&
-            binary === 0 &&
+            appliedRules.length === 0 &&
+            recodedValues === 0 &&
             Object.keys(unfixableValues).length === 0
         )
             return null;
@@ -664,15 +1155,14 @@ const CSVValidator = ({
                 </h4>
                 <div className="space-y-1">
                     {/* Show successful transformations */}
-                    {handedness > 0 && (
-                        <p className="text-green-700">
-                            ✓ Standardized {handedness} handedness values to NDA
-                            format
+                    {appliedRules.map((rule) => (
+                        <p key={rule.id} className="text-green-700">
+                            ✓ {rule.describe(counts[rule.id])}
                         </p>
-                    )}
-                    {binary > 0 && (
+                    ))}
+                    {recodedValues > 0 && (
                         <p className="text-green-700">
-                            ✓ Converted {binary} boolean values to 0/1 format
+                            ✓ Recoded {recodedValues} values
                         </p>
                     )}
 
@@ -693,14 +1183,25 @@ const CSVValidator = ({
         );
     };
 
+    // GUID problems get their own section apart from other value errors
+    const guidErrors = valueErrors.filter(
+        (error) => error.errorType === "guid"
+    );
+    const rangeErrors = valueErrors.filter(
+        (error) => error.errorType !== "guid"
+    );
+
     return (
         <div className="space-y-4">
             <div className="flex items-center justify-between">
                 <h3 className="text-lg font-semibold">Validate CSV</h3>
                 {validationResults && !validationResults.error && (
                     <div className="flex items-center space-x-2">
-                        {validationResults.hasAllRequiredFields &&
+                        {validationResults.hasValidStructure &&
+                        validationResults.hasAllRequiredFields &&
+                        validationResults.hasRequiredValues &&
                         validationResults.hasValidRanges &&
+                        validationResults.hasUniqueRecords &&
                         validationResults.totalFields ===
                             validationResults.validFields ? (
                             <div className="flex items-center text-green-600">
@@ -713,10 +1214,17 @@ const CSVValidator = ({
                             <div className="flex items-center text-red-600">
                                 <XCircle className="w-5 h-5 mr-2" />
                                 <span className="font-medium">
-                                    {validationResults.unknownFields.length > 0
+                                    {!validationResults.hasValidStructure
+                                        ? "File structure problems"
+                                        : validationResults.unknownFields
+                                              .length > 0
                                         ? "Unknown fields need mapping"
                                         : !validationResults.hasValidRanges
                                         ? "Invalid values detected"
+                                        : !validationResults.hasRequiredValues
+                                        ? "Missing required values"
+                                        : !validationResults.hasUniqueRecords
+                                        ? "Duplicate records found"
                                         : "Missing required fields"}
                                 </span>
                             </div>
@@ -725,10 +1233,118 @@ const CSVValidator = ({
                 )}
             </div>
 
+            <div className="flex items-center gap-4 text-sm">
+                <label className="flex items-center text-gray-600">
+                    Import format
+                    <select
+                        value={importFormat}
+                        onChange={(e) => setImportFormat(e.target.value)}
+                        className="ml-2 border rounded px-2 py-1"
+                    >
+                        <option value={ImportFormats.CSV}>CSV / Excel</option>
+                        <option value={ImportFormats.REDCAP}>
+                            REDCap export
+                        </option>
+                        <option value={ImportFormats.QUALTRICS}>
+                            Qualtrics export
+                        </option>
+                    </select>
+                </label>
+            </div>
+
+            {importFormat === ImportFormats.REDCAP && (
+                <div className="bg-gray-50 p-4 rounded space-y-2">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <h4 className="font-medium text-gray-800">
+                                REDCap Data Dictionary
+                            </h4>
+                            <p className="text-sm text-gray-600">
+                                {redcapDictionary
+                                    ? `${redcapDictionary.fileName} (${
+                                          Object.keys(redcapDictionary.fields)
+                                              .length
+                                      } variables)`
+                                    : "Upload the data dictionary CSV exported from your REDCap project"}
+                            </p>
+                        </div>
+                        <input
+                            type="file"
+                            accept=".csv"
+                            onChange={(e) =>
+                                e.target.files?.[0] &&
+                                loadRedcapDictionary(e.target.files[0])
+                            }
+                            className="hidden"
+                            id="redcap-dictionary-upload"
+                        />
+                        <label
+                            htmlFor="redcap-dictionary-upload"
+                            className="cursor-pointer px-3 py-1 rounded text-sm text-white bg-blue-500 hover:bg-blue-600"
+                        >
+                            {redcapDictionary
+                                ? "Replace Dictionary"
+                                : "Upload Dictionary"}
+                        </label>
+                    </div>
+                    {dictionaryError && (
+                        <p className="text-sm text-red-600">
+                            {dictionaryError}
+                        </p>
+                    )}
+                </div>
+            )}
+
+            <div className="bg-gray-50 p-4 rounded space-y-2">
+                <div className="flex items-center justify-between">
+                    <div>
+                        <h4 className="font-medium text-gray-800">
+                            GUID Lookup (optional)
+                        </h4>
+                        <p className="text-sm text-gray-600">
+                            {guidLookup
+                                ? `${guidLookup.fileName} (${
+                                      Object.keys(guidLookup.lookup).length
+                                  } participants)`
+                                : "Upload a CSV of local IDs and GUIDs to fill in subjectkey"}
+                        </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        {guidLookup && (
+                            <button
+                                onClick={() => setGuidLookup(null)}
+                                className="px-3 py-1 rounded text-sm text-gray-700 border hover:bg-gray-100"
+                            >
+                                Remove
+                            </button>
+                        )}
+                        <input
+                            type="file"
+                            accept=".csv,.tsv,.txt"
+                            onChange={(e) =>
+                                e.target.files?.[0] &&
+                                loadGuidLookup(e.target.files[0])
+                            }
+                            className="hidden"
+                            id="guid-lookup-upload"
+                        />
+                        <label
+                            htmlFor="guid-lookup-upload"
+                            className="cursor-pointer px-3 py-1 rounded text-sm text-white bg-blue-500 hover:bg-blue-600"
+                        >
+                            {guidLookup ? "Replace Lookup" : "Upload Lookup"}
+                        </label>
+                    </div>
+                </div>
+                {guidLookupError && (
+                    <p className="text-sm text-red-600">{guidLookupError}</p>
+                )}
+            </div>
+
             <div className="border-2 border-dashed rounded-lg p-8 text-center">
                 <input
                     type="file"
-                    accept=".csv"
+                    accept=".csv,.tsv,.txt,.xlsx"
                     onChange={(e) =>
                         e.target.files?.[0] && validateCSV(e.target.files[0])
                     }
@@ -753,16 +1369,52 @@ const CSVValidator = ({
                         <>
                             <Upload className="w-8 h-8 text-gray-400" />
                             <span className="text-sm text-gray-600">
-                                Click to upload or drag and drop your CSV file
+                                Click to upload or drag and drop your CSV or
+                                Excel file
                             </span>
                             <span className="text-xs text-gray-500">
-                                CSV files only
+                                CSV, tab-delimited text or .xlsx files
                             </span>
                         </>
                     )}
                 </label>
             </div>
 
+            {workbookSheets && (
+                <SheetPicker
+                    sheetNames={workbookSheets.sheetNames}
+                    selectedSheet={selectedSheet}
+                    onSelectSheet={setSelectedSheet}
+                    onConfirm={(sheet) =>
+                        validateWorkbookSheet(workbookSheets.file, sheet)
+                    }
+                    confirmLabel="Validate Sheet"
+                />
+            )}
+
+            {validationResults?.looksLikeQualtrics && (
+                <div className="bg-blue-50 p-4 rounded-lg flex items-start gap-3">
+                    <AlertCircle className="w-5 h-5 text-blue-500 mt-0.5 flex-shrink-0" />
+                    <div>
+                        <h4 className="font-medium text-blue-700">
+                            Qualtrics Export Detected
+                        </h4>
+                        <p className="text-blue-600 text-sm mt-1">
+                            The second and third rows hold question text and
+                            ImportIds rather than data.{" "}
+                            <button
+                                onClick={() =>
+                                    setImportFormat(ImportFormats.QUALTRICS)
+                                }
+                                className="underline font-medium"
+                            >
+                                Switch to Qualtrics import
+                            </button>
+                        </p>
+                    </div>
+                </div>
+            )}
+
             {validationResults?.isSubmissionTemplate && (
                 <div className="bg-blue-50 p-4 rounded-lg flex items-start gap-3">
                     <AlertCircle className="w-5 h-5 text-blue-500 mt-0.5 flex-shrink-0" />
@@ -782,10 +1434,29 @@ const CSVValidator = ({
 
             {isValidating && (
                 <div className="text-center py-4">
-                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+                    {progress?.stage === "reading" ? (
+                        <div className="w-full bg-gray-200 rounded-full h-2">
+                            <div
+                                className="bg-blue-500 h-2 rounded-full transition-all"
+                                style={{
+                                    width: `${readingPercent}%`,
+                                }}
+                            />
+                        </div>
+                    ) : (
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+                    )}
                     <p className="text-sm text-gray-600 mt-2">
-                        Validating CSV...
+                        {progress?.stage === "reading"
+                            ? `Reading file... ${readingPercent}%`
+                            : "Validating rows..."}
                     </p>
+                    <button
+                        onClick={cancelValidation}
+                        className="mt-2 px-3 py-1 text-sm text-gray-700 border rounded hover:bg-gray-50"
+                    >
+                        Cancel
+                    </button>
                 </div>
             )}
 
@@ -793,6 +1464,7 @@ const CSVValidator = ({
                 <div className="space-y-4">
                     {/* <div className="flex items-center space-x-2">
                         {validationResults.hasAllRequiredFields &&
+                        validationResults.hasRequiredValues &&
                         validationResults.hasValidRanges &&
                         validationResults.totalFields ===
                             validationResults.validFields ? (
@@ -814,7 +1486,9 @@ const CSVValidator = ({
                         </span>
                     </div> */}
 
-                    <div className="grid grid-cols-3 gap-4">
+                    {renderStructureErrors()}
+
+                    <div className="grid grid-cols-4 gap-4">
                         <div className="bg-gray-50 p-4 rounded">
                             <div className="text-sm text-gray-600">
                                 Total Fields
@@ -831,6 +1505,14 @@ const CSVValidator = ({
                                 {validationResults.validFields}
                             </div>
                         </div>
+                        <div className="bg-gray-50 p-4 rounded">
+                            <div className="text-sm text-gray-600">
+                                Conditional Fields
+                            </div>
+                            <div className="text-2xl font-semibold">
+                                {validationResults.conditionalFields.length}
+                            </div>
+                        </div>
                         <div className="bg-gray-50 p-4 rounded">
                             <div className="text-sm text-gray-600">
                                 Unknown Fields
@@ -845,34 +1527,132 @@ const CSVValidator = ({
                         </div>
                     </div>
 
+                    {renderImportSummary()}
+
+                    {renderImplicitMappings()}
+
+                    {renderDateColumns()}
+
+                    {renderInterviewAge()}
+
+                    {renderGuidLookup()}
+
+                    {renderDuplicates()}
+
                     {renderTransformationSummary()}
 
-                    {valueErrors.length > 0 && (
-                        <div className="bg-orange-50 p-4 rounded">
-                            <h4 className="font-medium text-orange-800 mb-2 flex items-center">
+                    <RecodeProposals
+                        proposals={validationResults.recodeProposals || []}
+                        approved={approvedRecodes}
+                        onApprove={approveRecode}
+                        onRevoke={revokeRecode}
+                    />
+
+                    <RecodeEditor
+                        invalidValues={groupInvalidValues(valueErrors)}
+                        dataElements={dataElements || []}
+                        recodes={Object.fromEntries(
+                            Object.entries(fieldRecodes).filter(([field]) =>
+                                csvContent?.[0].some(
+                                    (header) =>
+                                        (mappings[header] || header) === field
+                                )
+                            )
+                        )}
+                        onChange={updateFieldRecode}
+                    />
+
+                    {validationResults.valueRangeWarnings?.length > 0 && (
+                        <div className="bg-yellow-50 p-4 rounded">
+                            <h4 className="font-medium text-yellow-800 mb-2 flex items-center">
                                 <AlertCircle className="w-5 h-5 mr-2" />
-                                Value Range Violations ({valueErrors.length})
+                                Unreadable Value Ranges (
+                                {validationResults.valueRangeWarnings.length})
+                            </h4>
+                            <p className="text-sm text-yellow-700 mb-2">
+                                Values in these fields were not range-checked.
+                            </p>
+                            <ul className="text-sm text-yellow-700 space-y-1">
+                                {validationResults.valueRangeWarnings.map(
+                                    (warning) => (
+                                        <li key={warning.field}>
+                                            <span className="font-mono">
+                                                {warning.field}
+                                            </span>
+                                            : {warning.message}
+                                        </li>
+                                    )
+                                )}
+                            </ul>
+                        </div>
+                    )}
+
+                    {guidErrors.length > 0 && (
+                        <div className="bg-red-50 p-4 rounded">
+                            <h4 className="font-medium text-red-800 mb-2 flex items-center">
+                                <XCircle className="w-5 h-5 mr-2" />
+                                Invalid Subject GUIDs (
+                                {countInvalidSubjects(
+                                    guidErrors
+                                )} subjects, {guidErrors.length} rows)
                             </h4>
                             <div className="space-y-2 max-h-60 overflow-y-auto">
-                                {valueErrors.map((error, index) => (
+                                {guidErrors.slice(0, 20).map((error, index) => (
                                     <div
                                         key={index}
-                                        className="bg-orange-100 p-3 rounded text-sm"
+                                        className="bg-red-100 p-3 rounded text-sm"
                                     >
-                                        <div className="font-medium text-orange-900">
+                                        <div className="font-medium text-red-900">
                                             Row {error.row}, Column &quot;
                                             {error.column}&quot;
-                                            {error.mappedField !==
-                                                error.column &&
-                                                ` (mapped to "${error.mappedField}")`}
                                         </div>
-                                        <div className="text-orange-800">
-                                            Value &quot;{error.value}&quot; is
-                                            outside expected range:{" "}
-                                            {error.expectedRange}
+                                        <div className="text-red-800">
+                                            {error.message}
                                         </div>
                                     </div>
                                 ))}
+                                {guidErrors.length > 20 && (
+                                    <div className="text-sm text-red-700">
+                                        ...and {guidErrors.length - 20} more
+                                        rows
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    {rangeErrors.length > 0 && (
+                        <div className="bg-orange-50 p-4 rounded">
+                            <h4 className="font-medium text-orange-800 mb-2 flex items-center">
+                                <AlertCircle className="w-5 h-5 mr-2" />
+                                Value Range Violations ({rangeErrors.length})
+                            </h4>
+                            <div className="space-y-2 max-h-60 overflow-y-auto">
+                                {rangeErrors
+                                    .slice(0, 20)
+                                    .map((error, index) => (
+                                        <div
+                                            key={index}
+                                            className="bg-orange-100 p-3 rounded text-sm"
+                                        >
+                                            <div className="font-medium text-orange-900">
+                                                Row {error.row}, Column &quot;
+                                                {error.column}&quot;
+                                                {error.mappedField !==
+                                                    error.column &&
+                                                    ` (mapped to "${error.mappedField}")`}
+                                            </div>
+                                            <div className="text-orange-800">
+                                                {error.message}
+                                            </div>
+                                        </div>
+                                    ))}
+                                {rangeErrors.length > 20 && (
+                                    <div className="text-sm text-orange-700">
+                                        ...and {rangeErrors.length - 20} more
+                                        values
+                                    </div>
+                                )}
                             </div>
                         </div>
                     )}
@@ -897,6 +1677,94 @@ const CSVValidator = ({
                         </div>
                     )}
 
+                    {validationResults.requiredValueErrors?.length > 0 && (
+                        <div className="bg-red-50 p-4 rounded">
+                            <h4 className="font-medium text-red-800 mb-2">
+                                Missing Required Values
+                            </h4>
+                            <div className="space-y-2 max-h-60 overflow-y-auto">
+                                {validationResults.requiredValueErrors.map(
+                                    ({
+                                        column,
+                                        mappedField,
+                                        rows,
+                                        missingCodes,
+                                    }) => (
+                                        <div
+                                            key={column}
+                                            className="bg-red-100 p-3 rounded text-sm"
+                                        >
+                                            <div className="font-medium text-red-900">
+                                                Column &quot;{column}&quot;
+                                                {mappedField !== column &&
+                                                    ` (mapped to "${mappedField}")`}{" "}
+                                                is blank in {rows.length}{" "}
+                                                {rows.length === 1
+                                                    ? "row"
+                                                    : "rows"}
+                                            </div>
+                                            <div className="text-red-800">
+                                                Rows{" "}
+                                                {rows.slice(0, 20).join(", ")}
+                                                {rows.length > 20 &&
+                                                    ` and ${
+                                                        rows.length - 20
+                                                    } more`}
+                                            </div>
+                                            {missingCodes.length > 0 && (
+                                                <div className="text-red-700 mt-1">
+                                                    Use a missing code where the
+                                                    value is unavailable:{" "}
+                                                    <span className="font-mono">
+                                                        {missingCodes.join(
+                                                            ", "
+                                                        )}
+                                                    </span>
+                                                </div>
+                                            )}
+                                        </div>
+                                    )
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    {(validationResults.conditionalFields.length > 0 ||
+                        validationResults.missingConditional.length > 0) && (
+                        <div className="bg-yellow-50 p-4 rounded">
+                            <h4 className="font-medium text-yellow-800 mb-2">
+                                Conditional Fields
+                            </h4>
+                            <p className="text-sm text-yellow-700 mb-2">
+                                These elements are only required when their
+                                condition applies to your data.
+                            </p>
+                            <div className="flex flex-wrap gap-2">
+                                {validationResults.conditionalFields.map(
+                                    (field) => (
+                                        <span
+                                            key={field}
+                                            className="bg-yellow-100 text-yellow-800 text-sm px-2 py-1 rounded"
+                                        >
+                                            {field}
+                                        </span>
+                                    )
+                                )}
+                                {validationResults.missingConditional.map(
+                                    (field) => (
+                                        <span
+                                            key={field}
+                                            className="bg-white text-yellow-700 text-sm px-2 py-1 rounded border border-dashed border-yellow-300"
+                                            title="Not present in the file"
+                                        >
+                                            {field}
+                                        </span>
+                                    )
+                                )}
+                            </div>
+                        </div>
+                    )}
+
                     {validationResults.suggestions?.length > 0 &&
                         validationResults.suggestions.filter(
                             ({ field }) => !ignoredFields.has(field)
@@ -919,6 +1787,17 @@ const CSVValidator = ({
                                                 <p className="text-blue-800 font-mono mb-1">
                                                     {field}
                                                 </p>
+                                                {validationResults
+                                                    .fieldContext?.[field] && (
+                                                    <p className="text-blue-600 text-sm mb-1">
+                                                        {
+                                                            validationResults
+                                                                .fieldContext[
+                                                                field
+                                                            ]
+                                                        }
+                                                    </p>
+                                                )}
                                                 <div className="pl-4 space-y-1">
                                                     {similarFields.map(
                                                         (similar) => (
@@ -934,7 +1813,7 @@ const CSVValidator = ({
                                                                         name={`mapping-${field}`}
                                                                         id={`map-${field}-${similar.name}`}
                                                                         checked={
-                                                                            selectedMappings[
+                                                                            mappings[
                                                                                 field
                                                                             ] ===
                                                                             similar.name
@@ -964,7 +1843,15 @@ const CSVValidator = ({
                                                                                     100
                                                                             )}
                                                                             %
-                                                                            match)
+                                                                            match
+                                                                            {similar.matchedOn &&
+                                                                                ` · ${
+                                                                                    MATCH_LABELS[
+                                                                                        similar
+                                                                                            .matchedOn
+                                                                                    ]
+                                                                                }`}
+                                                                            )
                                                                         </span>
                                                                     </label>
                                                                 </div>
@@ -978,15 +1865,16 @@ const CSVValidator = ({
                             </div>
                         )}
 
+                    {renderFieldMappings()}
+
                     {validationResults.unknownFields.length > 0 && (
                         <div className="bg-gray-50 p-4 rounded">
                             <h4 className="font-medium text-gray-800 mb-2">
                                 Unknown Fields
                             </h4>
                             <div className="flex flex-wrap gap-2">
-                                {validationResults.unknownFields
-                                    .filter((field) => !selectedMappings[field])
-                                    .map((field) => (
+                                {validationResults.unknownFields.map(
+                                    (field) => (
                                         <span
                                             key={field}
                                             className={`
@@ -1009,27 +1897,47 @@ const CSVValidator = ({
                                         >
                                             {field}
                                         </span>
-                                    ))}
+                                    )
+                                )}
                             </div>
                         </div>
                     )}
 
                     {/* Download button */}
                     <div className="mt-4 pt-4 border-t">
-                        <button
-                            onClick={downloadSubmissionTemplate}
-                            disabled={false} // Remove mapping check since ignored fields are valid
-                            className="px-4 py-2 rounded text-white bg-blue-500 hover:bg-blue-600"
-                        >
-                            Download Submission Template{" "}
-                            {valueErrors.length > 0
-                                ? `(${valueErrors.length} value errors)`
-                                : ""}
-                        </button>
+                        <div className="flex items-center gap-4">
+                            <button
+                                onClick={downloadSubmissionTemplate}
+                                disabled={false} // Remove mapping check since ignored fields are valid
+                                className="px-4 py-2 rounded text-white bg-blue-500 hover:bg-blue-600"
+                            >
+                                Download Submission Template{" "}
+                                {valueErrors.length > 0
+                                    ? `(${valueErrors.length} value errors)`
+                                    : ""}
+                            </button>
+                            <label className="flex items-center text-sm text-gray-600">
+                                Line endings
+                                <select
+                                    value={lineEnding}
+                                    onChange={(e) =>
+                                        setLineEnding(e.target.value)
+                                    }
+                                    className="ml-2 border rounded px-2 py-1"
+                                >
+                                    <option value={LineEndings.CRLF}>
+                                        Windows (CRLF)
+                                    </option>
+                                    <option value={LineEndings.LF}>
+                                        Unix/macOS (LF)
+                                    </option>
+                                </select>
+                            </label>
+                        </div>
                         {valueErrors.length > 0 && (
                             <p className="mt-2 text-sm text-orange-600">
                                 Warning: The CSV contains values that don&apos;t
-                                match the expected ranges.
+                                match the expected types or ranges.
                             </p>
                         )}
                     </div>
@@ -2,6 +2,7 @@
 
 import { useState, useEffect } from "react";
 import { Search, X, AlertCircle, Info, Database } from "lucide-react";
+import ValueLabelTable from "./ValueLabelTable";
 
 const DataElementSearch = ({
     onStructureSelect,
@@ -1050,9 +1051,10 @@ const DataElementSearch = ({
                                     Notes
                                 </h3>
                                 <div className="bg-yellow-50 p-3 rounded border-l-4 border-yellow-300">
-                                    <p className="text-gray-800">
-                                        {element.notes}
-                                    </p>
+                                    <ValueLabelTable
+                                        notes={element.notes}
+                                        className="text-gray-800"
+                                    />
                                 </div>
                             </div>
                         )}
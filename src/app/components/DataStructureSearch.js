@@ -13,6 +13,7 @@ import CSVValidator from "./CSVValidator";
 import DownloadStructureButton from "./DownloadStructureButton";
 import DownloadTemplateButton from "./DownloadTemplateButton";
 import useScrollDirection from "./useScrollDirection";
+import ValueLabelTable from "./ValueLabelTable";
 
 const DataStructureSearch = ({
     searchTerm,
@@ -635,6 +636,9 @@ const DataStructureSearch = ({
                                                                                                         element.required ===
                                                                                                         "Required"
                                                                                                             ? "bg-red-100 text-red-800"
+                                                                                                            : element.required ===
+                                                                                                              "Conditional"
+                                                                                                            ? "bg-yellow-100 text-yellow-800"
                                                                                                             : "bg-gray-100 text-gray-800"
                                                                                                     }`}
                                                                                                 >
@@ -653,8 +657,15 @@ const DataStructureSearch = ({
                                                                                                     "-"}
                                                                                             </td>
                                                                                             <td className="px-6 py-4 text-sm">
-                                                                                                {element.notes ||
-                                                                                                    "-"}
+                                                                                                {element.notes ? (
+                                                                                                    <ValueLabelTable
+                                                                                                        notes={
+                                                                                                            element.notes
+                                                                                                        }
+                                                                                                    />
+                                                                                                ) : (
+                                                                                                    "-"
+                                                                                                )}
                                                                                             </td>
                                                                                         </tr>
                                                                                     );
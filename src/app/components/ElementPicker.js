@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { Search, X } from "lucide-react";
+import { RequiredStatus } from "@/lib/validation";
+
+const STATUS_STYLES = {
+    [RequiredStatus.REQUIRED]: "bg-red-100 text-red-800",
+    [RequiredStatus.CONDITIONAL]: "bg-yellow-100 text-yellow-800",
+};
+
+// Every search word has to appear in the element's name, aliases or
+// description
+const matchesSearch = (element, search) => {
+    const text = [
+        element.name,
+        ...(element.aliases || []),
+        element.description || "",
+    ]
+        .join(" ")
+        .toLowerCase();
+    return search
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean)
+        .every((word) => text.includes(word));
+};
+
+// Pick any element of the structure for a header, searching by name, alias
+// or description. `takenBy` maps element names to the other headers already
+// mapped to them.
+const ElementPicker = ({ dataElements, value, onChange, takenBy = {} }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [search, setSearch] = useState("");
+
+    const elements = dataElements.filter((element) =>
+        matchesSearch(element, search)
+    );
+
+    const select = (name) => {
+        onChange(name);
+        setIsOpen(false);
+        setSearch("");
+    };
+
+    if (!isOpen) {
+        return (
+            <div className="flex items-center gap-2">
+                <button
+                    onClick={() => setIsOpen(true)}
+                    className="flex items-center border rounded px-2 py-1 bg-white hover:bg-gray-50"
+                >
+                    <Search className="w-3 h-3 mr-1 text-gray-400" />
+                    <span className={value ? "font-mono" : "text-gray-500"}>
+                        {value || "Map to element..."}
+                    </span>
+                </button>
+                {value && (
+                    <button
+                        onClick={() => onChange(null)}
+                        className="text-gray-400 hover:text-gray-600"
+                        title="Remove mapping"
+                    >
+                        <X className="w-3 h-3" />
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="border rounded bg-white">
+            <div className="flex items-center gap-2 p-2 border-b">
+                <Search className="w-4 h-4 text-gray-400" />
+                <input
+                    autoFocus
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder={`Search ${dataElements.length} elements...`}
+                    className="flex-1 outline-none text-sm"
+                />
+                <button
+                    onClick={() => setIsOpen(false)}
+                    className="text-gray-400 hover:text-gray-600"
+                    title="Close"
+                >
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+            <ul className="max-h-64 overflow-y-auto divide-y text-sm">
+                {elements.length === 0 && (
+                    <li className="p-2 text-gray-500">No matching elements</li>
+                )}
+                {elements.map((element) => (
+                    <li key={element.name}>
+                        <button
+                            onClick={() => select(element.name)}
+                            className={`w-full text-left p-2 hover:bg-blue-50 ${
+                                element.name === value ? "bg-blue-50" : ""
+                            }`}
+                        >
+                            <div className="flex items-center gap-2">
+                                <span className="font-mono">
+                                    {element.name}
+                                </span>
+                                <span className="text-gray-500 text-xs">
+                                    {element.type}
+                                </span>
+                                <span
+                                    className={`px-2 rounded-full text-xs ${
+                                        STATUS_STYLES[element.required] ||
+                                        "bg-gray-100 text-gray-800"
+                                    }`}
+                                >
+                                    {element.required}
+                                </span>
+                                {takenBy[element.name]?.length > 0 && (
+                                    <span className="text-orange-600 text-xs">
+                                        ⚠ mapped from{" "}
+                                        {takenBy[element.name].join(", ")}
+                                    </span>
+                                )}
+                            </div>
+                            {element.description && (
+                                <div className="text-gray-600">
+                                    {element.description}
+                                </div>
+                            )}
+                            {element.valueRange && (
+                                <div className="text-gray-500 text-xs font-mono">
+                                    {element.valueRange}
+                                </div>
+                            )}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default ElementPicker;
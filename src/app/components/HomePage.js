@@ -175,7 +175,9 @@ const HomePage = () => {
     const [valueErrors, setValueErrors] = useState([]);
     const [transformationCounts, setTransformationCounts] = useState({
         handedness: 0,
+        sex: 0,
         binary: 0,
+        dates: 0,
     });
 
     const handleElementStructureSelect = async (structureName) => {
@@ -475,7 +477,7 @@ const HomePage = () => {
         setIgnoredFields(new Set());
         setValidationResults(null);
         setValueErrors([]);
-        setTransformationCounts({ handedness: 0, binary: 0 });
+        setTransformationCounts({ handedness: 0, sex: 0, binary: 0, dates: 0 });
     };
 
     const handleCsvFileChange = (file) => {
@@ -0,0 +1,194 @@
+import { useState } from "react";
+import { ArrowRight, X } from "lucide-react";
+import {
+    getRecodeTargets,
+    isValueInRange,
+    parseValueRange,
+} from "@/lib/validation";
+
+// Map each distinct invalid value in a column to an allowed value or a
+// missing code. Recodes are kept per element so they carry over to the next
+// upload of the same structure.
+const RecodeEditor = ({ invalidValues, dataElements, recodes, onChange }) => {
+    // Targets typed but not yet applied, keyed by "field\u0000value"
+    const [drafts, setDrafts] = useState({});
+
+    const elementsByName = {};
+    dataElements.forEach((element) => {
+        elementsByName[element.name] = element;
+    });
+
+    // Columns with invalid values plus fields that already have recodes
+    const columns = [...invalidValues];
+    Object.keys(recodes).forEach((field) => {
+        if (!columns.some((c) => c.mappedField === field)) {
+            columns.push({ column: field, mappedField: field, values: {} });
+        }
+    });
+    if (columns.length === 0) return null;
+
+    const draftKey = (field, value) => `${field}\u0000${value}`;
+
+    const applyDraft = (field, value) => {
+        const target = (drafts[draftKey(field, value)] || "").trim();
+        if (!target) return;
+        onChange(field, value, target);
+        setDrafts((prev) => {
+            const { [draftKey(field, value)]: applied, ...rest } = prev;
+            return rest;
+        });
+    };
+
+    return (
+        <div className="bg-gray-50 p-4 rounded">
+            <h4 className="font-medium text-gray-800 mb-1">Recode Values</h4>
+            <p className="text-sm text-gray-600 mb-3">
+                Map invalid values to an allowed value or a missing code. Your
+                recodes are applied to the corrected CSV and saved for this
+                structure.
+            </p>
+            <div className="space-y-4">
+                {columns.map(({ column, mappedField, values }) => {
+                    const element = elementsByName[mappedField];
+                    const range = parseValueRange(element?.valueRange);
+                    const targets = getRecodeTargets(element);
+                    const saved = recodes[mappedField] || {};
+                    const listId = `recode-targets-${mappedField}`;
+
+                    return (
+                        <div
+                            key={column}
+                            className="bg-white p-3 rounded border"
+                        >
+                            <div className="font-mono text-sm mb-2">
+                                {column}
+                                {mappedField !== column && (
+                                    <span className="text-gray-500">
+                                        {" "}
+                                        → {mappedField}
+                                    </span>
+                                )}
+                                {element?.valueRange && (
+                                    <span className="text-gray-500 text-xs ml-2">
+                                        ({element.valueRange})
+                                    </span>
+                                )}
+                            </div>
+                            <datalist id={listId}>
+                                {targets.map(({ value, label }) => (
+                                    <option key={value} value={value}>
+                                        {label || value}
+                                    </option>
+                                ))}
+                            </datalist>
+
+                            <ul className="space-y-2 text-sm">
+                                {Object.entries(values)
+                                    .filter(([value]) => !(value in saved))
+                                    .map(([value, count]) => {
+                                        const key = draftKey(
+                                            mappedField,
+                                            value
+                                        );
+                                        const draft = drafts[key] || "";
+                                        const isAllowed =
+                                            !draft.trim() ||
+                                            isValueInRange(draft, range);
+                                        return (
+                                            <li
+                                                key={value}
+                                                className="flex items-center gap-2"
+                                            >
+                                                <span className="font-mono w-32 truncate">
+                                                    {value === ""
+                                                        ? "(blank)"
+                                                        : value}
+                                                </span>
+                                                <span className="text-gray-400 text-xs w-10">
+                                                    ×{count}
+                                                </span>
+                                                <ArrowRight className="w-3 h-3 text-gray-400" />
+                                                <input
+                                                    list={listId}
+                                                    value={draft}
+                                                    onChange={(e) =>
+                                                        setDrafts((prev) => ({
+                                                            ...prev,
+                                                            [key]: e.target
+                                                                .value,
+                                                        }))
+                                                    }
+                                                    placeholder="Recode to..."
+                                                    className={`border rounded px-2 py-1 w-40 ${
+                                                        isAllowed
+                                                            ? ""
+                                                            : "border-red-400"
+                                                    }`}
+                                                />
+                                                <button
+                                                    onClick={() =>
+                                                        applyDraft(
+                                                            mappedField,
+                                                            value
+                                                        )
+                                                    }
+                                                    disabled={
+                                                        !draft.trim() ||
+                                                        !isAllowed
+                                                    }
+                                                    className="px-3 py-1 text-white bg-blue-500 rounded hover:bg-blue-600 disabled:bg-gray-300"
+                                                >
+                                                    Apply
+                                                </button>
+                                                {!isAllowed && (
+                                                    <span className="text-red-600 text-xs">
+                                                        Not an allowed value
+                                                    </span>
+                                                )}
+                                            </li>
+                                        );
+                                    })}
+                            </ul>
+
+                            {Object.keys(saved).length > 0 && (
+                                <ul className="space-y-1 text-sm mt-2">
+                                    {Object.entries(saved).map(
+                                        ([value, target]) => (
+                                            <li
+                                                key={value}
+                                                className="flex items-center gap-2 text-green-700"
+                                            >
+                                                <span className="font-mono">
+                                                    ✓ {value}
+                                                </span>
+                                                <ArrowRight className="w-3 h-3" />
+                                                <span className="font-mono">
+                                                    {target}
+                                                </span>
+                                                <button
+                                                    onClick={() =>
+                                                        onChange(
+                                                            mappedField,
+                                                            value,
+                                                            null
+                                                        )
+                                                    }
+                                                    className="text-gray-400 hover:text-gray-600"
+                                                    title="Remove recode"
+                                                >
+                                                    <X className="w-3 h-3" />
+                                                </button>
+                                            </li>
+                                        )
+                                    )}
+                                </ul>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default RecodeEditor;
@@ -0,0 +1,104 @@
+import { ArrowRight } from "lucide-react";
+
+// Proposed label-to-code recodes, one card per column. Nothing is changed
+// until the user approves a column's map.
+const RecodeProposals = ({ proposals, approved, onApprove, onRevoke }) => {
+    if (proposals.length === 0 && Object.keys(approved).length === 0) {
+        return null;
+    }
+
+    // Keep approved columns listed so they can be undone
+    const approvedOnly = Object.keys(approved)
+        .filter((column) => !proposals.some((p) => p.column === column))
+        .map((column) => ({ column, map: approved[column], counts: {} }));
+
+    return (
+        <div className="bg-blue-50 p-4 rounded">
+            <h4 className="font-medium text-blue-800 mb-1">
+                Suggested Recodes
+            </h4>
+            <p className="text-sm text-blue-700 mb-3">
+                These columns hold labels where NDA expects codes. Approve a
+                column to recode it in the corrected CSV.
+            </p>
+            <div className="space-y-3">
+                {[...proposals, ...approvedOnly].map(
+                    ({ column, mappedField, map, counts, labels }) => {
+                        const isApproved = Boolean(approved[column]);
+                        return (
+                            <div
+                                key={column}
+                                className="bg-white p-3 rounded border"
+                            >
+                                <div className="flex items-center justify-between mb-2">
+                                    <span className="font-mono text-sm">
+                                        {column}
+                                        {mappedField &&
+                                            mappedField !== column && (
+                                                <span className="text-gray-500">
+                                                    {" "}
+                                                    → {mappedField}
+                                                </span>
+                                            )}
+                                    </span>
+                                    {isApproved ? (
+                                        <button
+                                            onClick={() => onRevoke(column)}
+                                            className="px-3 py-1 text-sm text-gray-700 border rounded hover:bg-gray-50"
+                                        >
+                                            Undo
+                                        </button>
+                                    ) : (
+                                        <button
+                                            onClick={() =>
+                                                onApprove(column, map)
+                                            }
+                                            className="px-3 py-1 text-sm text-white bg-blue-500 rounded hover:bg-blue-600"
+                                        >
+                                            Approve
+                                        </button>
+                                    )}
+                                </div>
+                                <ul className="text-sm space-y-1">
+                                    {Object.entries(map).map(
+                                        ([value, code]) => (
+                                            <li
+                                                key={value}
+                                                className="flex items-center gap-2"
+                                            >
+                                                <span className="font-mono">
+                                                    {value}
+                                                </span>
+                                                <ArrowRight className="w-3 h-3 text-gray-400" />
+                                                <span className="font-mono">
+                                                    {code}
+                                                </span>
+                                                {labels?.[code] && (
+                                                    <span className="text-gray-500">
+                                                        ({labels[code]})
+                                                    </span>
+                                                )}
+                                                {counts[value] > 0 && (
+                                                    <span className="text-gray-400 text-xs">
+                                                        ×{counts[value]}
+                                                    </span>
+                                                )}
+                                            </li>
+                                        )
+                                    )}
+                                </ul>
+                                {isApproved && (
+                                    <p className="text-green-700 text-sm mt-2">
+                                        ✓ Applied
+                                    </p>
+                                )}
+                            </div>
+                        );
+                    }
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default RecodeProposals;
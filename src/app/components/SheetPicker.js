@@ -0,0 +1,42 @@
+import { AlertCircle } from "lucide-react";
+
+// Lets the user choose which sheet of a multi-sheet workbook to use
+const SheetPicker = ({
+    sheetNames,
+    selectedSheet,
+    onSelectSheet,
+    onConfirm,
+    confirmLabel = "Use Sheet",
+}) => (
+    <div className="bg-blue-50 p-4 rounded-lg flex items-start gap-3">
+        <AlertCircle className="w-5 h-5 text-blue-500 mt-0.5 flex-shrink-0" />
+        <div className="flex-1">
+            <h4 className="font-medium text-blue-700">Choose a Sheet</h4>
+            <p className="text-blue-600 text-sm mt-1">
+                This workbook has {sheetNames.length} sheets. Pick the one
+                holding your data.
+            </p>
+            <div className="flex items-center gap-2 mt-2">
+                <select
+                    value={selectedSheet || ""}
+                    onChange={(e) => onSelectSheet(e.target.value)}
+                    className="border rounded px-2 py-1 text-sm"
+                >
+                    {sheetNames.map((name) => (
+                        <option key={name} value={name}>
+                            {name}
+                        </option>
+                    ))}
+                </select>
+                <button
+                    onClick={() => onConfirm(selectedSheet)}
+                    className="px-3 py-1 rounded text-sm text-white bg-blue-500 hover:bg-blue-600"
+                >
+                    {confirmLabel}
+                </button>
+            </div>
+        </div>
+    </div>
+);
+
+export default SheetPicker;
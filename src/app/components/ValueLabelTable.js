@@ -0,0 +1,33 @@
+import { parseValueLabels } from "@/lib/validation";
+
+// Element notes as plain text, followed by a code/label table when they
+// describe codes. The text stays because the table leaves out anything that
+// isn't a code, such as instructions.
+const ValueLabelTable = ({ notes, className = "" }) => {
+    const labels = parseValueLabels(notes);
+    if (!labels) return <p className={className}>{notes}</p>;
+
+    return (
+        <div className={className}>
+            <p>{notes}</p>
+            <table className="text-sm mt-2">
+                <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                        <th className="pr-4 py-1 font-medium">Code</th>
+                        <th className="py-1 font-medium">Meaning</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.entries(labels).map(([code, label]) => (
+                        <tr key={code} className="border-t border-gray-200">
+                            <td className="pr-4 py-1 font-mono">{code}</td>
+                            <td className="py-1">{label}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default ValueLabelTable;
@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from "react";
+
+// Runs validation in a Web Worker so large files don't freeze the page.
+// Starting a new run or calling cancel() stops the one in progress; its
+// promise rejects with an AbortError.
+const useValidationWorker = () => {
+    const workerRef = useRef(null);
+    const pendingRef = useRef(null);
+    const [progress, setProgress] = useState(null);
+
+    const stopWorker = () => {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+        pendingRef.current = null;
+        setProgress(null);
+    };
+
+    const cancel = () => {
+        const pending = pendingRef.current;
+        stopWorker();
+        if (pending) {
+            const error = new Error("Validation cancelled");
+            error.name = "AbortError";
+            pending.reject(error);
+        }
+    };
+
+    const run = (message) => {
+        cancel();
+
+        const worker = new Worker(
+            new URL(
+                "../../lib/validation/validation.worker.js",
+                import.meta.url
+            )
+        );
+        workerRef.current = worker;
+
+        return new Promise((resolve, reject) => {
+            pendingRef.current = { reject };
+
+            worker.onmessage = ({ data }) => {
+                if (data.type === "progress") {
+                    setProgress(data);
+                    return;
+                }
+
+                stopWorker();
+                if (data.type === "error") {
+                    reject(new Error(data.message));
+                } else {
+                    resolve(data.report);
+                }
+            };
+
+            worker.onerror = (event) => {
+                stopWorker();
+                reject(new Error(event.message || "Validation worker failed"));
+            };
+
+            worker.postMessage(message);
+        });
+    };
+
+    // Stop the worker when the component unmounts
+    useEffect(() => () => workerRef.current?.terminate(), []);
+
+    return { run, cancel, progress };
+};
+
+export default useValidationWorker;
@@ -0,0 +1,203 @@
+// Delimiters we try when a file doesn't tell us which one it uses
+const DELIMITERS = [",", "\t", ";"];
+
+// How much of the file to sample when detecting the delimiter
+const SAMPLE_SIZE = 64 * 1024;
+
+// Decode raw file bytes, honouring a byte order mark when there is one and
+// falling back to Windows-1252 (what Excel writes on Windows) when the bytes
+// aren't valid UTF-8.
+export const decodeCSVBuffer = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+        return {
+            text: new TextDecoder("utf-16le").decode(bytes.subarray(2)),
+            encoding: "utf-16le",
+        };
+    }
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        return {
+            text: new TextDecoder("utf-16be").decode(bytes.subarray(2)),
+            encoding: "utf-16be",
+        };
+    }
+
+    try {
+        // TextDecoder strips a UTF-8 BOM by itself
+        return {
+            text: new TextDecoder("utf-8", { fatal: true }).decode(bytes),
+            encoding: "utf-8",
+        };
+    } catch (error) {
+        return {
+            text: new TextDecoder("windows-1252").decode(bytes),
+            encoding: "windows-1252",
+        };
+    }
+};
+
+// Incremental RFC 4180 parser: quoted cells may contain delimiters, doubled
+// quotes and line breaks; records end at CRLF, LF or a lone CR. Feed text with
+// push() as it arrives (chunk boundaries may fall anywhere); each call returns
+// the records completed so far and end() flushes the last one. Cells are
+// trimmed and blank lines are dropped.
+export const createCSVParser = (delimiter = ",") => {
+    let rows = [];
+    let row = [];
+    let cell = "";
+    let isInQuotes = false;
+    // A quote ended the previous chunk inside a quoted cell: it either closes
+    // the cell or starts an escaped quote, depending on the next character
+    let quotePending = false;
+    // A CR ended the previous chunk, so a leading LF belongs to it
+    let skipLineFeed = false;
+
+    const endRow = () => {
+        row.push(cell.trim());
+        // Skip blank lines
+        if (row.length > 1 || row[0] !== "") rows.push(row);
+        row = [];
+        cell = "";
+    };
+
+    const push = (text) => {
+        rows = [];
+        let i = 0;
+
+        if (skipLineFeed) {
+            skipLineFeed = false;
+            if (text[0] === "\n") i++;
+        }
+        if (quotePending && i < text.length) {
+            quotePending = false;
+            if (text[i] === '"') {
+                cell += '"';
+                i++;
+            } else {
+                isInQuotes = false;
+            }
+        }
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+
+            if (isInQuotes) {
+                if (char !== '"') {
+                    cell += char;
+                } else if (i + 1 === text.length) {
+                    quotePending = true;
+                } else if (text[i + 1] === '"') {
+                    // If we see a quote right after a quote, it's an escaped quote
+                    cell += '"';
+                    i++;
+                } else {
+                    isInQuotes = false;
+                }
+                continue;
+            }
+
+            if (char === '"' && cell.trim() === "") {
+                // Opening quote; anything before it was padding
+                cell = "";
+                isInQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell.trim());
+                cell = "";
+            } else if (char === "\r" || char === "\n") {
+                endRow();
+                if (char === "\r") {
+                    if (i + 1 === text.length) skipLineFeed = true;
+                    else if (text[i + 1] === "\n") i++;
+                }
+            } else {
+                cell += char;
+            }
+        }
+
+        return rows;
+    };
+
+    const end = () => {
+        rows = [];
+        quotePending = false;
+        isInQuotes = false;
+        // Last record when the file doesn't end with a newline
+        if (cell !== "" || row.length > 0) endRow();
+        return rows;
+    };
+
+    return { push, end };
+};
+
+// Pick the delimiter that splits a sample of the file into the most
+// consistent number of cells per row.
+export const detectDelimiter = (text) => {
+    const sample = text.slice(0, SAMPLE_SIZE);
+    let best = { delimiter: ",", rows: 0, cells: 1 };
+
+    DELIMITERS.forEach((delimiter) => {
+        const parser = createCSVParser(delimiter);
+        const sampledRows = parser.push(sample);
+        if (sample.length === text.length) sampledRows.push(...parser.end());
+
+        const counts = {};
+        sampledRows.slice(0, 20).forEach((row) => {
+            counts[row.length] = (counts[row.length] || 0) + 1;
+        });
+
+        // Most common cell count across the sampled rows
+        Object.entries(counts).forEach(([cells, rows]) => {
+            cells = Number(cells);
+            if (cells < 2) return;
+            if (
+                rows > best.rows ||
+                (rows === best.rows && cells > best.cells)
+            ) {
+                best = { delimiter, rows, cells };
+            }
+        });
+    });
+
+    return best.delimiter;
+};
+
+// Split raw CSV text into rows of cells. The delimiter is detected unless
+// one is given.
+export const parseCSV = (text, { delimiter = null } = {}) => {
+    // Strip a UTF-8 byte order mark glued to the first header
+    const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const usedDelimiter = delimiter || detectDelimiter(content);
+
+    const parser = createCSVParser(usedDelimiter);
+    return {
+        rows: [...parser.push(content), ...parser.end()],
+        delimiter: usedDelimiter,
+    };
+};
+
+// Quote a cell when it contains the delimiter, a quote, a line break or
+// surrounding whitespace; quotes inside are doubled.
+export const formatCSVCell = (value, delimiter = ",") => {
+    const text = value === undefined || value === null ? "" : String(value);
+    const needsQuotes =
+        text.includes(delimiter) ||
+        /["\r\n]/.test(text) ||
+        text !== text.trim();
+
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write rows of cells as CSV text, ending every record with `lineEnding`
+export const stringifyCSV = (
+    rows,
+    { delimiter = ",", lineEnding = "\r\n" } = {}
+) =>
+    rows
+        .map(
+            (row) =>
+                row
+                    .map((cell) => formatCSVCell(cell, delimiter))
+                    .join(delimiter) + lineEnding
+        )
+        .join("");
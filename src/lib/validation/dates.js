@@ -0,0 +1,145 @@
+// Date parsing for Date-typed elements. NDA wants MM/DD/YYYY (optionally
+// followed by a time); exports arrive as ISO dates, European day-first dates
+// or Excel serial numbers.
+export const DateFormats = {
+    NDA: "MM/DD/YYYY",
+    EUROPEAN: "DD/MM/YYYY",
+    ISO: "YYYY-MM-DD",
+    EXCEL: "excel",
+};
+
+// Day-first or month-first dates with "/", "-" or "." and a 4-digit year
+const NUMERIC_DATE =
+    /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4})(?:[ T]+(\d{1,2}:\d{2}(?::\d{2})?))?$/;
+const ISO_DATE =
+    /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T]+(\d{1,2}:\d{2}(?::\d{2})?)(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+// Excel serials up to 9999-12-31, with an optional time fraction
+const EXCEL_SERIAL = /^\d{1,7}(\.\d+)?$/;
+const MAX_EXCEL_SERIAL = 2958465;
+
+const pad = (number) => String(number).padStart(2, "0");
+
+const isRealDate = ({ year, month, day }) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return (
+        date.getUTCFullYear() === year &&
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day
+    );
+};
+
+// Excel counts days from 1899-12-30 (which absorbs its fake 1900-02-29)
+const fromExcelSerial = (serial) => {
+    const date = new Date(Date.UTC(1899, 11, 30) + serial * 86400000);
+    const minutes = Math.round((serial % 1) * 24 * 60);
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        time:
+            minutes > 0
+                ? `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`
+                : null,
+    };
+};
+
+// Parse a value written in `format`. Returns { year, month, day, time } or
+// null when the value isn't a real date in that format.
+export const parseDate = (value, format) => {
+    const text = (value ?? "").toString().trim();
+    let parsed = null;
+
+    if (format === DateFormats.ISO) {
+        const match = text.match(ISO_DATE);
+        if (match) {
+            parsed = {
+                year: Number(match[1]),
+                month: Number(match[2]),
+                day: Number(match[3]),
+                time: match[4] || null,
+            };
+        }
+    } else if (format === DateFormats.EXCEL) {
+        const serial = Number(text);
+        if (EXCEL_SERIAL.test(text) && serial >= 1) {
+            if (serial <= MAX_EXCEL_SERIAL) parsed = fromExcelSerial(serial);
+        }
+    } else {
+        const match = text.match(NUMERIC_DATE);
+        if (match) {
+            const [first, second] = [Number(match[1]), Number(match[3])];
+            const dayFirst = format === DateFormats.EUROPEAN;
+            parsed = {
+                year: Number(match[4]),
+                month: dayFirst ? second : first,
+                day: dayFirst ? first : second,
+                time: match[5] || null,
+            };
+        }
+    }
+
+    return parsed && isRealDate(parsed) ? parsed : null;
+};
+
+export const formatNDADate = ({ year, month, day, time }) =>
+    `${pad(month)}/${pad(day)}/${year}${time ? ` ${time}` : ""}`;
+
+// Smallest serial taken as an Excel date without the user saying so (1927),
+// so that bare years and small numbers aren't read as dates
+const MIN_DETECTED_SERIAL = 10000;
+
+// The format a single value is recognisably written in. Slash dates that
+// fit both orders come back as null.
+const recognizeFormat = (text) => {
+    if (ISO_DATE.test(text)) return DateFormats.ISO;
+    if (EXCEL_SERIAL.test(text)) {
+        return Number(text) >= MIN_DETECTED_SERIAL ? DateFormats.EXCEL : null;
+    }
+
+    const match = text.match(NUMERIC_DATE);
+    if (!match) return null;
+    if (match[2] === "." || Number(match[1]) > 12) return DateFormats.EUROPEAN;
+    if (Number(match[3]) > 12) return DateFormats.NDA;
+    return null;
+};
+
+// Work out which order a column's slash dates are written in: month-first
+// (NDA's own format) unless some value only makes sense day-first, or uses a
+// dot. Returns null when the column has both.
+export const detectDateFormat = (values) => {
+    const formats = new Set(
+        values.map((value) => recognizeFormat((value ?? "").toString().trim()))
+    );
+
+    const dayFirst = formats.has(DateFormats.EUROPEAN);
+    const monthFirst = formats.has(DateFormats.NDA);
+    if (dayFirst && monthFirst) return null;
+    return dayFirst ? DateFormats.EUROPEAN : DateFormats.NDA;
+};
+
+// Rewrite a column of dates as MM/DD/YYYY. `format` is the source format the
+// user picked for the column; without one, ISO dates and Excel serials are
+// converted on sight and slash dates follow detectDateFormat. Values that
+// can't be read are left for validation to flag.
+export const createDateTransform = (values, format = null) => {
+    const slashFormat = format ? null : detectDateFormat(values);
+
+    return (value) => {
+        const text = (value ?? "").toString().trim();
+        if (text === "") return value;
+
+        let sourceFormat = format;
+        if (!sourceFormat) {
+            const recognized = recognizeFormat(text);
+            sourceFormat =
+                recognized === DateFormats.ISO ||
+                recognized === DateFormats.EXCEL
+                    ? recognized
+                    : slashFormat;
+        }
+        if (!sourceFormat) return value;
+
+        const parsed = parseDate(text, sourceFormat);
+        return parsed ? formatNDADate(parsed) : value;
+    };
+};
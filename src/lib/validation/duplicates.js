@@ -0,0 +1,85 @@
+// NDA treats rows with the same subjectkey, interview_date and visit as the
+// same record and rejects files that repeat one.
+export const NDA_RECORD_KEYS = ["subjectkey", "interview_date", "visit"];
+
+// The record keys this structure actually has
+export const getDefaultDuplicateKeys = (dataElements) =>
+    NDA_RECORD_KEYS.filter((key) =>
+        dataElements.some((element) => element.name === key)
+    );
+
+const cellText = (value) => (value ?? "").toString().trim();
+
+// Group rows sharing the same key values. Keys are element names, found
+// through the mappings; keys with no column are left out. Returns
+// [{ key: { field: value }, rows: [rowNumbers], identical }] where
+// `identical` means every copy is the same in every column. Row numbers
+// count the header as row 1, plus `rowOffset` (see prepareImport).
+export const findDuplicates = (
+    headers,
+    rows,
+    { keys = NDA_RECORD_KEYS, mappings = {}, rowOffset = 0 } = {}
+) => {
+    const keyColumns = keys
+        .map((field) => ({
+            field,
+            index: headers.findIndex(
+                (header) => (mappings[header] || header) === field
+            ),
+        }))
+        .filter(({ index }) => index !== -1);
+    if (keyColumns.length === 0) return [];
+
+    const groups = new Map();
+    rows.forEach((row, rowIndex) => {
+        const values = keyColumns.map(({ index }) => cellText(row[index]));
+        if (values.every((value) => value === "")) return;
+
+        const groupKey = JSON.stringify(values);
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(rowIndex);
+    });
+
+    const rowText = (rowIndex) =>
+        JSON.stringify(
+            headers.map((_, index) => cellText(rows[rowIndex][index]))
+        );
+
+    return [...groups.values()]
+        .filter((rowIndexes) => rowIndexes.length > 1)
+        .map((rowIndexes) => {
+            const first = rowText(rowIndexes[0]);
+            return {
+                key: Object.fromEntries(
+                    keyColumns.map(({ field, index }) => [
+                        field,
+                        cellText(rows[rowIndexes[0]][index]),
+                    ])
+                ),
+                rows: rowIndexes.map((rowIndex) => rowIndex + 2 + rowOffset),
+                identical: rowIndexes.every(
+                    (rowIndex) => rowText(rowIndex) === first
+                ),
+            };
+        });
+};
+
+// Remove rows that exactly repeat an earlier row with the same key, keeping
+// the first copy. Conflicting copies are left for the user to sort out.
+export const dropIdenticalDuplicates = (
+    rows,
+    duplicates,
+    { rowOffset = 0 } = {}
+) => {
+    const dropped = new Set();
+    duplicates.forEach((duplicate) => {
+        const seen = new Set();
+        duplicate.rows.forEach((row) => {
+            const rowIndex = row - 2 - rowOffset;
+            const text = JSON.stringify(rows[rowIndex].map(cellText));
+            if (seen.has(text)) dropped.add(rowIndex);
+            seen.add(text);
+        });
+    });
+    return rows.filter((_, rowIndex) => !dropped.has(rowIndex));
+};
@@ -0,0 +1,430 @@
+import { parseCSV } from "./csv.js";
+import { detectDateFormat } from "./dates.js";
+import { findDuplicates, getDefaultDuplicateKeys } from "./duplicates.js";
+import { applyGuidLookup } from "./guidLookup.js";
+import { checkFields, mergeMappings, resolveHeaders } from "./headers.js";
+import { AGE_FIELD, checkInterviewAge } from "./interviewAge.js";
+import { prepareImport } from "./imports.js";
+import { parseShortName } from "./submission.js";
+import { standardizeValues } from "./standardize.js";
+import {
+    findCaseMismatch,
+    findListedValue,
+    getMissingCodes,
+    getValueRangeWarnings,
+    isValueInRange,
+    parseValueRange,
+} from "./valueRange.js";
+import { formatValueLabels, parseValueLabels } from "./notes.js";
+import {
+    applyRecodes,
+    proposeLabelRecodes,
+    resolveFieldRecodes,
+} from "./recode.js";
+import { checkStructure, hasStructureErrors } from "./structure.js";
+import { findSimilarFields } from "./suggestions.js";
+import { countInvalidSubjects, validateType } from "./types.js";
+import { RequiredStatus } from "./requiredStatus.js";
+
+// Check every mapped cell against its element's type, size and valueRange.
+// `rows` holds data rows only, already standardized and recoded (see
+// validateRows); reported row numbers count the header row as row 1, plus
+// `rowOffset` for rows an import removed above the data.
+export const validateValues = (
+    headers,
+    rows,
+    dataElements,
+    mappings = {},
+    { rowOffset = 0 } = {}
+) => {
+    const errors = [];
+    const valueRanges = {};
+    const valueLabels = {};
+    const elementsByName = {};
+
+    // Pre-process all value ranges and the code labels in element notes
+    dataElements.forEach((element) => {
+        elementsByName[element.name] = element;
+        if (element.valueRange) {
+            valueRanges[element.name] = parseValueRange(element.valueRange);
+        }
+        valueLabels[element.name] = parseValueLabels(element.notes);
+    });
+
+    rows.forEach((row, rowIndex) => {
+        headers.forEach((header, colIndex) => {
+            const value = row[colIndex];
+            const mappedField = mappings[header] || header;
+            const range = valueRanges[mappedField];
+            const location = {
+                row: rowIndex + 2 + rowOffset,
+                column: header,
+                mappedField,
+                value,
+                expectedRange: range?.original,
+            };
+
+            // Values listed explicitly in the range (e.g. "-999" or "NR")
+            // are allowed whatever the element type says
+            const isListedValue = findListedValue(value, range) !== undefined;
+            const typeError =
+                !isListedValue &&
+                validateType(value, elementsByName[mappedField]);
+
+            // Code meanings from the notes explain both kinds of error, as a
+            // label like "Often" usually fails the Integer type check first
+            const labels = valueLabels[mappedField];
+            if (typeError) {
+                errors.push({
+                    ...location,
+                    ...typeError,
+                    valueLabels: labels,
+                    message: labels
+                        ? `${typeError.message} (${formatValueLabels(labels)})`
+                        : typeError.message,
+                });
+            } else if (range && !isValueInRange(value, range)) {
+                const caseMatch = findCaseMismatch(value, range);
+                errors.push({
+                    ...location,
+                    errorType: "range",
+                    valueLabels: labels,
+                    message: caseMatch
+                        ? `Value "${value}" must be written "${caseMatch}" (values are case-sensitive)`
+                        : `Value "${value}" is outside expected range: ${
+                              range.original
+                          }${labels ? ` (${formatValueLabels(labels)})` : ""}`,
+                });
+            }
+        });
+    });
+
+    return errors;
+};
+
+// Check that every Required element has a value in every row. Blank cells
+// are grouped by column along with the missing codes NDA accepts instead.
+export const validateRequiredValues = (
+    headers,
+    rows,
+    dataElements,
+    mappings = {},
+    { rowOffset = 0 } = {}
+) => {
+    const requiredElements = {};
+    dataElements
+        .filter((el) => el.required === RequiredStatus.REQUIRED)
+        .forEach((el) => {
+            requiredElements[el.name] = el;
+        });
+
+    return headers
+        .map((header, colIndex) => {
+            const mappedField = mappings[header] || header;
+            const element = requiredElements[mappedField];
+            if (!element) return null;
+
+            const blankRows = rows
+                .map((row, rowIndex) =>
+                    (row[colIndex] ?? "").toString().trim() === ""
+                        ? rowIndex + 2 + rowOffset
+                        : null
+                )
+                .filter((row) => row !== null);
+            if (blankRows.length === 0) return null;
+
+            return {
+                column: header,
+                mappedField,
+                rows: blankRows,
+                missingCodes: getMissingCodes(
+                    parseValueRange(element.valueRange)
+                ),
+            };
+        })
+        .filter(Boolean);
+};
+
+// Columns mapped to Date elements, with the source format detected from their
+// values (null when they mix day-first and month-first dates) and the one
+// the user picked, if any
+const describeDateColumns = (
+    headers,
+    rows,
+    dataElements,
+    mappings,
+    columnSettings
+) => {
+    const dateFields = new Set(
+        dataElements.filter((el) => el.type === "Date").map((el) => el.name)
+    );
+
+    return headers
+        .map((header, colIndex) => ({ header, colIndex }))
+        .filter(({ header }) => dateFields.has(mappings[header] || header))
+        .map(({ header, colIndex }) => ({
+            column: header,
+            mappedField: mappings[header] || header,
+            detectedFormat: detectDateFormat(rows.map((row) => row[colIndex])),
+            format: columnSettings[header]?.dateFormat || null,
+        }));
+};
+
+// Split rows into the header row and data rows, skipping the
+// "shortname,version" row of a submission template. Trailing empty cells
+// don't count: spreadsheets pad that row out to the width of the headers.
+const splitHeaderRow = (rows) => {
+    const firstRow = rows[0] || [];
+    const filled = firstRow.slice(
+        0,
+        firstRow.findLastIndex((cell) => cell.trim() !== "") + 1
+    );
+    const isSubmissionTemplate =
+        filled.length > 0 &&
+        filled.length <= 2 &&
+        filled.every((cell) => cell.trim() !== "");
+    const headerIndex = isSubmissionTemplate ? 1 : 0;
+    return {
+        isSubmissionTemplate,
+        headers: rows[headerIndex] || [],
+        dataRows: rows.slice(headerIndex + 1),
+    };
+};
+
+// Run the full set of checks against already-parsed rows (header row first,
+// optionally preceded by a "shortname,version" submission template row).
+// Options also take the import format settings used by prepareImport.
+export const validateRows = (
+    importedRows,
+    dataElements = [],
+    {
+        mappings: userMappings = {},
+        ignoredFields = new Set(),
+        structureShortName = null,
+        recodes = {},
+        columnRecodes = {},
+        standardizationRules,
+        columnSettings = {},
+        interviewAge = {},
+        guidLookup = null,
+        duplicateKeys = null,
+        dropExactDuplicates = false,
+        ...importOptions
+    } = {}
+) => {
+    // Structural problems come first: they make every later check
+    // unreliable. They're checked on the rows as uploaded, as preparing an
+    // import can drop or pad cells.
+    const uploaded = splitHeaderRow(importedRows);
+    const structureErrors = checkStructure(uploaded.headers, uploaded.dataRows);
+    const hasValidStructure = !hasStructureErrors(structureErrors);
+
+    const {
+        rows,
+        fieldContext,
+        summary: importSummary,
+        looksLikeQualtrics,
+        rowOffset,
+    } = prepareImport(importedRows, importOptions);
+
+    if (rows.length === 0) {
+        return { error: "No headers found in CSV file" };
+    }
+
+    // Check if first row follows shortname,version format
+    const firstRow = rows[0];
+    const {
+        isSubmissionTemplate,
+        headers: fileHeaders,
+        dataRows,
+    } = splitHeaderRow(rows);
+
+    // If this is a submission template and we have an expected shortname
+    if (isSubmissionTemplate && structureShortName) {
+        // Get the base name (e.g., "demographics" from "demographics02")
+        const { name: expectedBaseName } = parseShortName(structureShortName);
+
+        // Get the actual base name and version from the CSV
+        const [actualBaseName, actualVersion] = firstRow;
+
+        // Check if the base name matches and version is a number
+        if (
+            !actualBaseName.startsWith(expectedBaseName) ||
+            !/^\d+$/.test(actualVersion)
+        ) {
+            return {
+                headers: fileHeaders,
+                error: `Invalid structure shortname. Found "${actualBaseName},${actualVersion}". Should be "${expectedBaseName}" followed by a version number`,
+            };
+        }
+    }
+
+    // Headers that differ from an element name only in case or punctuation,
+    // or that use one of its aliases, are mapped unless the user says otherwise
+    const implicitMappings = resolveHeaders(fileHeaders, dataElements);
+    const mappings = mergeMappings(implicitMappings, userMappings);
+
+    // The user's recodes go first, so the built-in rules below never undo
+    // them: saved recodes ({ [field]: { from: to } }) plus recodes approved
+    // for this upload ({ [column]: { from: to } })
+    const columnMaps = resolveFieldRecodes(fileHeaders, mappings, recodes);
+    Object.entries(columnRecodes).forEach(([column, map]) => {
+        columnMaps[column] = { ...columnMaps[column], ...map };
+    });
+    const { rows: recodedRows, count: recodedValues } = applyRecodes(
+        fileHeaders,
+        dataRows,
+        columnMaps
+    );
+
+    // Standardize values before validation
+    const standardized = standardizeValues(fileHeaders, recodedRows, {
+        dataElements,
+        mappings,
+        rules: standardizationRules,
+        columnSettings,
+    });
+
+    // Fill subjectkey from the local ID lookup table, if there is one
+    const linked = guidLookup
+        ? applyGuidLookup(fileHeaders, standardized.rows, guidLookup.lookup, {
+              mappings,
+              idColumn: guidLookup.idColumn,
+              rowOffset,
+          })
+        : { headers: fileHeaders, rows: standardized.rows, summary: null };
+
+    // Check interview_age against the dates; deriving it may add the column
+    const {
+        headers,
+        rows: finalRows,
+        summary: interviewAgeSummary,
+    } = checkInterviewAge(linked.headers, linked.rows, {
+        mappings,
+        ageRange: parseValueRange(
+            dataElements.find((element) => element.name === AGE_FIELD)
+                ?.valueRange
+        ),
+        rowOffset,
+        ...interviewAge,
+    });
+
+    const {
+        validFields,
+        conditionalFields,
+        missingRequired,
+        missingRecommended,
+        missingConditional,
+        unknownFields,
+        duplicateMappings,
+    } = checkFields(headers, dataElements, mappings);
+
+    const valueErrors = validateValues(
+        headers,
+        finalRows,
+        dataElements,
+        mappings,
+        { rowOffset }
+    );
+
+    const requiredValueErrors = validateRequiredValues(
+        headers,
+        finalRows,
+        dataElements,
+        mappings,
+        { rowOffset }
+    );
+
+    // Repeated records; identical copies don't count against validity when
+    // they'll be dropped from the download
+    const recordKeys = duplicateKeys || getDefaultDuplicateKeys(dataElements);
+    const duplicates = findDuplicates(headers, finalRows, {
+        keys: recordKeys,
+        mappings,
+        rowOffset,
+    });
+    const unresolvedDuplicates = duplicates.filter(
+        (duplicate) => !(duplicate.identical && dropExactDuplicates)
+    );
+
+    const suggestions = unknownFields.map((field) => ({
+        field,
+        similarFields: findSimilarFields(
+            field,
+            dataElements,
+            fieldContext[field]
+        ),
+    }));
+
+    return {
+        totalFields: headers.filter((h) => !ignoredFields.has(h)).length,
+        validFields,
+        conditionalFields,
+        missingRequired,
+        missingRecommended,
+        missingConditional,
+        unknownFields,
+        // Fields more than one header is mapped to: [{ field, headers }]
+        duplicateMappings,
+        suggestions: suggestions.filter((s) => s.similarFields.length > 0),
+        // Separate validity checks
+        hasAllRequiredFields: missingRequired.length === 0,
+        hasValidRanges: valueErrors.length === 0,
+        hasRequiredValues: requiredValueErrors.length === 0,
+        hasUniqueRecords: unresolvedDuplicates.length === 0,
+        hasValidStructure,
+        isValid:
+            hasValidStructure &&
+            missingRequired.length === 0 &&
+            requiredValueErrors.length === 0 &&
+            unknownFields.filter((f) => !ignoredFields.has(f)).length === 0 &&
+            valueErrors.length === 0 &&
+            unresolvedDuplicates.length === 0,
+        headers,
+        // Data rows as they'll be submitted: standardized and recoded
+        rows: finalRows,
+        // { [header]: { name, matchedOn } } matched without an exact name
+        implicitMappings,
+        structureErrors,
+        valueErrors,
+        // Distinct subjectkey (or other GUID) values that aren't valid GUIDs
+        invalidSubjects: countInvalidSubjects(valueErrors),
+        requiredValueErrors,
+        duplicates,
+        recordKeys,
+        // Label values that could be recoded to NDA codes, pending approval
+        recodeProposals: proposeLabelRecodes(
+            headers,
+            finalRows,
+            dataElements,
+            mappings
+        ),
+        // valueRange definitions that couldn't be parsed or checked
+        valueRangeWarnings: getValueRangeWarnings(dataElements),
+        fieldContext,
+        importSummary,
+        looksLikeQualtrics,
+        // Added to row numbers in the reports above so they match the file
+        rowOffset,
+        transformations: standardized.counts,
+        interviewAge: interviewAgeSummary,
+        guidLookup: linked.summary,
+        dateColumns: describeDateColumns(
+            fileHeaders,
+            dataRows,
+            dataElements,
+            mappings,
+            columnSettings
+        ),
+        recodedValues,
+        isSubmissionTemplate,
+        detectedShortname: isSubmissionTemplate ? firstRow[0] : null,
+    };
+};
+
+// Validate raw CSV text against a structure's dataElements. This is the same
+// pipeline CSVValidator runs, usable outside the browser.
+export const validateCSVText = (text, dataElements = [], options = {}) => {
+    const { rows, delimiter } = parseCSV(text, options);
+    return { ...validateRows(rows, dataElements, options), delimiter };
+};
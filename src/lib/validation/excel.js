@@ -0,0 +1,37 @@
+// Browser-side .xlsx reading. Kept out of the package index because it pulls
+// in the browser build of read-excel-file; Node scripts can read workbooks
+// with "read-excel-file/node" and pass the rows to validateRows.
+import readXlsxFile, { readSheetNames } from "read-excel-file";
+
+export const isExcelFile = (file) => /\.xlsx$/i.test(file?.name || "");
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// Excel cells come back typed; the validator works on text like a CSV would
+// give it. Dates are written in NDA's MM/DD/YYYY format.
+export const formatExcelCell = (value) => {
+    if (value === null || value === undefined) return "";
+    if (value instanceof Date) {
+        return `${pad(value.getUTCMonth() + 1)}/${pad(
+            value.getUTCDate()
+        )}/${value.getUTCFullYear()}`;
+    }
+    return String(value).trim();
+};
+
+export const readWorkbookSheetNames = (file) => readSheetNames(file);
+
+// Read one sheet as rows of text cells. Blank rows and columns that are
+// empty all the way down (formatting-only cells) are dropped.
+export const readWorkbookRows = async (file, sheet) => {
+    const rows = (await readXlsxFile(file, { sheet }))
+        .map((row) => row.map(formatExcelCell))
+        .filter((row) => row.some((cell) => cell !== ""));
+
+    const width = rows.reduce((max, row) => {
+        const lastFilled = row.findLastIndex((cell) => cell !== "");
+        return Math.max(max, lastFilled + 1);
+    }, 0);
+
+    return rows.map((row) => row.slice(0, width));
+};
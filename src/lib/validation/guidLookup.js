@@ -0,0 +1,109 @@
+import { isValidGUID } from "./types.js";
+
+// Linking local participant IDs to NDA GUIDs with a lookup table (two or
+// more columns: a local ID and its GUID).
+export const SUBJECT_KEY_FIELD = "subjectkey";
+export const LOCAL_ID_FIELD = "src_subject_id";
+
+const GUID_HEADER = /guid|subjectkey/i;
+
+// Turn the rows of a lookup CSV into { [localId]: guid }. The GUID column is
+// found by its header, or failing that by holding valid GUIDs; the local ID
+// column is the first other column.
+export const parseGuidLookup = (rows) => {
+    const [headerRow = [], ...entryRows] = rows;
+
+    let guidIndex = headerRow.findIndex((header) => GUID_HEADER.test(header));
+    if (guidIndex === -1) {
+        guidIndex = headerRow.findIndex((_, index) =>
+            entryRows.some((row) => isValidGUID(row[index] || ""))
+        );
+    }
+    if (guidIndex === -1) {
+        throw new Error(
+            "Not a GUID lookup table: no GUID or subjectkey column"
+        );
+    }
+    const idIndex = headerRow.findIndex((_, index) => index !== guidIndex);
+    if (idIndex === -1) {
+        throw new Error("Not a GUID lookup table: no local ID column");
+    }
+
+    const lookup = {};
+    entryRows.forEach((row) => {
+        const localId = (row[idIndex] || "").trim();
+        const guid = (row[guidIndex] || "").trim();
+        if (localId && guid) lookup[localId] = guid;
+    });
+    return lookup;
+};
+
+// Fill subjectkey from the lookup using each row's local ID, adding the
+// subjectkey and src_subject_id columns when the file has none. `idColumn`
+// is the column with local IDs; by default the one mapped to
+// src_subject_id. Only blank subjectkey cells are filled. Returns the new
+// headers and rows and a summary with how many GUIDs were filled, the rows
+// whose ID isn't in the lookup and the rows whose subjectkey disagrees with
+// it.
+export const applyGuidLookup = (
+    headers,
+    rows,
+    lookup,
+    { mappings = {}, idColumn = null, rowOffset = 0 } = {}
+) => {
+    const columnFor = (field) =>
+        headers.findIndex((header) => (mappings[header] || header) === field);
+    const localIdIndex = idColumn
+        ? headers.indexOf(idColumn)
+        : columnFor(LOCAL_ID_FIELD);
+
+    const summary = {
+        idColumn: localIdIndex === -1 ? null : headers[localIdIndex],
+        filled: 0,
+        unmatched: [],
+        conflicts: [],
+    };
+    if (localIdIndex === -1) return { headers, rows, summary };
+
+    const nextHeaders = [...headers];
+    const columnOrAdd = (field) => {
+        const index = columnFor(field);
+        if (index !== -1) return index;
+        nextHeaders.push(field);
+        return nextHeaders.length - 1;
+    };
+    const subjectKeyIndex = columnOrAdd(SUBJECT_KEY_FIELD);
+    // Keep the local ID as src_subject_id when it lives in another column
+    const srcSubjectIndex = columnOrAdd(LOCAL_ID_FIELD);
+
+    const nextRows = rows.map((row, index) => {
+        const localId = (row[localIdIndex] ?? "").toString().trim();
+        const next = [...row];
+        while (next.length < nextHeaders.length) next.push("");
+        if (localId === "") return next;
+
+        if (next[srcSubjectIndex] === "") next[srcSubjectIndex] = localId;
+
+        const guid = Object.hasOwn(lookup, localId) ? lookup[localId] : null;
+        if (!guid) {
+            summary.unmatched.push({ row: index + 2 + rowOffset, localId });
+            return next;
+        }
+        const existing = (next[subjectKeyIndex] ?? "").toString().trim();
+        if (existing === "") {
+            next[subjectKeyIndex] = guid;
+            summary.filled++;
+        } else if (existing !== guid) {
+            // The file's own GUID wins; the user decides which one is wrong
+            summary.conflicts.push({
+                row: index + 2 + rowOffset,
+                localId,
+                existing,
+                guid,
+            });
+        }
+        return next;
+    });
+
+    return { headers: nextHeaders, rows: nextRows, summary };
+};
@@ -0,0 +1,114 @@
+import { groupElementsByStatus, RequiredStatus } from "./requiredStatus.js";
+
+// Header matching that forgives case, whitespace and punctuation: "Subject
+// Key", "SUBJECTKEY" and "subject-key" all resolve to subjectkey. Headers that
+// only match this way (or through an element's aliases) become implicit
+// mappings, which the user can see and override like any other mapping.
+
+// Lower-case and drop everything but letters and digits
+export const normalizeHeader = (header) =>
+    (header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const addTo = (index, key, name) => {
+    if (key) (index[key] = index[key] || new Set()).add(name);
+};
+
+// Elements keyed by their normalized name and by each normalized alias. An
+// element's own name wins over another element's alias.
+const indexElements = (dataElements) => {
+    const byName = {};
+    const byAlias = {};
+
+    dataElements.forEach((element) => {
+        addTo(byName, normalizeHeader(element.name), element.name);
+        (element.aliases || []).forEach((alias) =>
+            addTo(byAlias, normalizeHeader(alias), element.name)
+        );
+    });
+
+    return { byName, byAlias };
+};
+
+// Work out which headers stand for an element without being spelled exactly
+// like it. Returns { [header]: { name, matchedOn } } where matchedOn is "name"
+// (same name once normalized) or "alias". Headers that match more than one
+// element, or an element another header already names exactly, are left for
+// the user to map.
+export const resolveHeaders = (headers, dataElements = []) => {
+    const knownFields = new Set(dataElements.map((el) => el.name));
+    const { byName, byAlias } = indexElements(dataElements);
+    const taken = new Set(headers.filter((header) => knownFields.has(header)));
+    const resolved = {};
+
+    headers.forEach((header) => {
+        if (!header || knownFields.has(header)) return;
+
+        const key = normalizeHeader(header);
+        const matchedOn = byName[key] ? "name" : byAlias[key] ? "alias" : null;
+        if (!matchedOn) return;
+
+        const names = [...(byName[key] || byAlias[key])];
+        if (names.length !== 1 || taken.has(names[0])) return;
+
+        taken.add(names[0]);
+        resolved[header] = { name: names[0], matchedOn };
+    });
+
+    return resolved;
+};
+
+// The mappings validation should use: implicit ones first, with the user's
+// own mappings on top. Mapping a header to itself undoes an implicit mapping.
+export const mergeMappings = (implicitMappings = {}, mappings = {}) => {
+    const merged = {};
+    Object.entries(implicitMappings).forEach(([header, { name }]) => {
+        merged[header] = name;
+    });
+    Object.entries(mappings).forEach(([header, name]) => {
+        if (name && name !== header) merged[header] = name;
+        else delete merged[header];
+    });
+    return merged;
+};
+
+// Which of the structure's fields the headers cover once mapped, which
+// headers don't stand for any field, and fields that more than one header is
+// mapped to (a header repeated verbatim is a structure error instead)
+export const checkFields = (headers, dataElements = [], mappings = {}) => {
+    const fieldsByStatus = groupElementsByStatus(dataElements);
+    const knownFields = dataElements.map((el) => el.name);
+    const conditionalFields = fieldsByStatus[RequiredStatus.CONDITIONAL];
+    const mappedHeaders = headers.map((header) => mappings[header] || header);
+    const isMissing = (field) => !mappedHeaders.includes(field);
+
+    const headersByField = {};
+    headers.forEach((header, index) => {
+        const field = mappedHeaders[index];
+        if (!knownFields.includes(field)) return;
+        (headersByField[field] = headersByField[field] || new Set()).add(
+            header
+        );
+    });
+
+    return {
+        validFields: mappedHeaders.filter((h) => knownFields.includes(h))
+            .length,
+        conditionalFields: mappedHeaders.filter((h) =>
+            conditionalFields.includes(h)
+        ),
+        missingRequired:
+            fieldsByStatus[RequiredStatus.REQUIRED].filter(isMissing),
+        missingRecommended:
+            fieldsByStatus[RequiredStatus.RECOMMENDED].filter(isMissing),
+        missingConditional: conditionalFields.filter(isMissing),
+        unknownFields: headers.filter(
+            (header, index) => !knownFields.includes(mappedHeaders[index])
+        ),
+        duplicateMappings: Object.entries(headersByField)
+            .filter(([, fieldHeaders]) => fieldHeaders.size > 1)
+            .map(([field, fieldHeaders]) => ({
+                field,
+                headers: [...fieldHeaders],
+            })),
+    };
+};
@@ -0,0 +1,41 @@
+import { isQualtricsExport, prepareQualtricsExport } from "./qualtrics.js";
+import { prepareRedcapExport } from "./redcap.js";
+
+export const ImportFormats = {
+    CSV: "csv",
+    REDCAP: "redcap",
+    QUALTRICS: "qualtrics",
+};
+
+// Apply the preparation step for an import format. Returns the rows to
+// validate, descriptive text per header (REDCap labels, survey question
+// text) for mapping suggestions, a summary of what was changed, and
+// `rowOffset`: how many rows above the data were removed, to add to row
+// numbers so they match the uploaded file.
+export const prepareImport = (
+    rows,
+    {
+        format = ImportFormats.CSV,
+        redcapDictionary = null,
+        keepQualtricsMetadata = false,
+    } = {}
+) => {
+    let prepared = { rows, fieldContext: {}, summary: null };
+    if (format === ImportFormats.REDCAP && redcapDictionary) {
+        prepared = prepareRedcapExport(rows, redcapDictionary);
+    } else if (format === ImportFormats.QUALTRICS) {
+        prepared = prepareQualtricsExport(rows, {
+            keepMetadata: keepQualtricsMetadata,
+        });
+    }
+
+    return {
+        ...prepared,
+        summary: prepared.summary && { format, ...prepared.summary },
+        // The question text and ImportId rows of a Qualtrics export
+        rowOffset: prepared.summary?.detected ? 2 : 0,
+        // Offer Qualtrics mode when a plain upload looks like an export
+        looksLikeQualtrics:
+            format === ImportFormats.CSV && isQualtricsExport(rows),
+    };
+};
@@ -0,0 +1,79 @@
+export {
+    createCSVParser,
+    decodeCSVBuffer,
+    detectDelimiter,
+    formatCSVCell,
+    parseCSV,
+    stringifyCSV,
+} from "./csv.js";
+export { buildSubmissionCSV, LineEndings, parseShortName } from "./submission.js";
+export {
+    applyRule,
+    DEFAULT_STANDARDIZATION_RULES,
+    ruleMatches,
+    standardizeBinary,
+    standardizeHandedness,
+    standardizeValues,
+} from "./standardize.js";
+export {
+    findCaseMismatch,
+    findListedValue,
+    getMissingCodes,
+    getValueRangeWarnings,
+    isValueInRange,
+    parseValueRange,
+} from "./valueRange.js";
+export { formatValueLabels, parseValueLabels } from "./notes.js";
+export {
+    createDateTransform,
+    DateFormats,
+    detectDateFormat,
+    formatNDADate,
+    parseDate,
+} from "./dates.js";
+export {
+    checkInterviewAge,
+    computeInterviewAge,
+    findDateOfBirthColumn,
+} from "./interviewAge.js";
+export { applyGuidLookup, parseGuidLookup } from "./guidLookup.js";
+export {
+    checkFields,
+    mergeMappings,
+    normalizeHeader,
+    resolveHeaders,
+} from "./headers.js";
+export {
+    dropIdenticalDuplicates,
+    findDuplicates,
+    getDefaultDuplicateKeys,
+    NDA_RECORD_KEYS,
+} from "./duplicates.js";
+export {
+    applyRecodes,
+    getRecodeTargets,
+    groupInvalidValues,
+    proposeLabelRecodes,
+    resolveFieldRecodes,
+} from "./recode.js";
+export { groupElementsByStatus, RequiredStatus } from "./requiredStatus.js";
+export { checkStructure, hasStructureErrors } from "./structure.js";
+export { countInvalidSubjects, isValidGUID, validateType } from "./types.js";
+export { ImportFormats, prepareImport } from "./imports.js";
+export {
+    isQualtricsExport,
+    prepareQualtricsExport,
+    QUALTRICS_METADATA_COLUMNS,
+} from "./qualtrics.js";
+export {
+    parseRedcapChoices,
+    parseRedcapDictionary,
+    prepareRedcapExport,
+} from "./redcap.js";
+export { calculateSimilarity, findSimilarFields } from "./suggestions.js";
+export {
+    validateCSVText,
+    validateRequiredValues,
+    validateRows,
+    validateValues,
+} from "./engine.js";
@@ -0,0 +1,167 @@
+import { createDateTransform, DateFormats, parseDate } from "./dates.js";
+import { isValueInRange } from "./valueRange.js";
+
+// NDA wants interview_age in months, derived from date of birth and
+// interview_date and rounded to the nearest month (15 days round down,
+// 16 days round up).
+export const AGE_FIELD = "interview_age";
+export const INTERVIEW_DATE_FIELD = "interview_date";
+
+// Headers that usually hold a date of birth. NDA structures have no DOB
+// element (it's identifying), so the column is found by name.
+const DOB_HEADER = /^(dob|birth_?date|date_?of_?birth|birthday)$/i;
+
+// A provided age may be off by this many months before it's flagged
+const AGE_TOLERANCE = 1;
+
+const toUTC = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+
+// Whole months from `birth` to `interview`, rounded on the leftover days
+export const monthsBetween = (birth, interview) => {
+    let months =
+        (interview.year - birth.year) * 12 + (interview.month - birth.month);
+    if (interview.day < birth.day) months--;
+
+    // Days past the last whole month
+    const anniversary = new Date(toUTC(birth));
+    anniversary.setUTCMonth(anniversary.getUTCMonth() + months);
+    const leftoverDays = Math.round(
+        (toUTC(interview) - anniversary.getTime()) / 86400000
+    );
+
+    return leftoverDays > 15 ? months + 1 : months;
+};
+
+// interview_age for one row, or null when either date is missing or bad
+export const computeInterviewAge = (dateOfBirth, interviewDate) => {
+    const birth = parseDate(dateOfBirth, DateFormats.NDA);
+    const interview = parseDate(interviewDate, DateFormats.NDA);
+    if (!birth || !interview || toUTC(interview) < toUTC(birth)) return null;
+    return monthsBetween(birth, interview);
+};
+
+export const findDateOfBirthColumn = (headers) =>
+    headers.find((header) => DOB_HEADER.test(header)) || null;
+
+// Check interview_age against the dates and, when `derive` is set, fill it
+// in from them. interview_date must already be MM/DD/YYYY (see the "dates"
+// standardization rule); the DOB column's format is detected. `ageRange` is
+// the element's parsed valueRange. Returns the (possibly extended) headers
+// and rows and a summary:
+//   looksLikeYears  ages seem to be in years rather than months
+//   mismatches      [{ row, provided, expected }] for ages off by more than
+//                   a month
+//   derived         how many ages were filled in or replaced
+export const checkInterviewAge = (
+    headers,
+    rows,
+    {
+        mappings = {},
+        dobColumn = null,
+        derive = false,
+        ageRange = null,
+        rowOffset = 0,
+    } = {}
+) => {
+    const columnFor = (field) =>
+        headers.findIndex((header) => (mappings[header] || header) === field);
+    const ageIndex = columnFor(AGE_FIELD);
+    const dateIndex = columnFor(INTERVIEW_DATE_FIELD);
+    const dobHeader = dobColumn || findDateOfBirthColumn(headers);
+    const dobIndex = dobHeader ? headers.indexOf(dobHeader) : -1;
+
+    const summary = {
+        ageColumn: ageIndex === -1 ? null : headers[ageIndex],
+        dateColumn: dateIndex === -1 ? null : headers[dateIndex],
+        dobColumn: dobIndex === -1 ? null : dobHeader,
+        canDerive: dateIndex !== -1 && dobIndex !== -1,
+        looksLikeYears: false,
+        mismatches: [],
+        derived: 0,
+    };
+    if (ageIndex === -1 && !summary.canDerive) {
+        return { headers, rows, summary };
+    }
+
+    // The DOB column isn't an NDA element, so its dates haven't been
+    // normalized yet
+    const normalizeDOB = summary.canDerive
+        ? createDateTransform(rows.map((row) => row[dobIndex]))
+        : null;
+    const expectedAges = rows.map((row) =>
+        summary.canDerive
+            ? computeInterviewAge(normalizeDOB(row[dobIndex]), row[dateIndex])
+            : null
+    );
+    const providedAges =
+        ageIndex === -1
+            ? []
+            : rows.map((row) => {
+                  const value = (row[ageIndex] ?? "").toString().trim();
+                  return value === "" || isNaN(Number(value))
+                      ? null
+                      : Number(value);
+              });
+
+    // Years show up as ages twelve times too small. Without dates to compare
+    // against, only the element's range can tell: most ages fall below it
+    // and land inside it once multiplied by 12. Small ages alone prove
+    // nothing, as infant studies have them in months.
+    const compared = providedAges
+        .map((provided, index) => [provided, expectedAges[index]])
+        // Newborns read the same either way
+        .filter(([age, expected]) => age !== null && expected > 0);
+    const provided = providedAges.filter((age) => age !== null);
+    if (compared.length > 0) {
+        const yearMatches = compared.filter(
+            ([age, expected]) => Math.abs(age * 12 - expected) <= 12
+        ).length;
+        summary.looksLikeYears = yearMatches > compared.length / 2;
+    } else if (provided.length > 0 && ageRange?.type === "range") {
+        const inRange = (age) => isValueInRange(String(age), ageRange);
+        const yearAges = provided.filter(
+            (age) => !inRange(age) && inRange(age * 12)
+        ).length;
+        summary.looksLikeYears = yearAges > provided.length / 2;
+    }
+
+    providedAges.forEach((age, index) => {
+        const expected = expectedAges[index];
+        if (age === null || expected === null) return;
+        if (Math.abs(age - expected) > AGE_TOLERANCE) {
+            summary.mismatches.push({
+                row: index + 2 + rowOffset,
+                provided: age,
+                expected,
+            });
+        }
+    });
+
+    if (!derive || !summary.canDerive) return { headers, rows, summary };
+
+    // Replace the ages we can compute, or add the column when there isn't one
+    const targetIndex = ageIndex === -1 ? headers.length : ageIndex;
+    const derivedRows = rows.map((row, index) => {
+        const expected = expectedAges[index];
+        if (expected === null) return row;
+
+        const next = [...row];
+        while (next.length < targetIndex) next.push("");
+        if (String(expected) !== (next[targetIndex] ?? "").toString().trim()) {
+            summary.derived++;
+        }
+        next[targetIndex] = String(expected);
+        return next;
+    });
+
+    return {
+        headers: ageIndex === -1 ? [...headers, AGE_FIELD] : headers,
+        rows: derivedRows,
+        summary: {
+            ...summary,
+            ageColumn: summary.ageColumn || AGE_FIELD,
+            looksLikeYears: false,
+            mismatches: [],
+        },
+    };
+};
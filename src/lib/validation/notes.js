@@ -0,0 +1,38 @@
+// NDA element notes usually spell out what each code means, e.g.
+// "0 = Never; 1 = Sometimes; 2 = Often" or "1=Male | 2=Female, -999=Missing".
+
+// Codes are numbers or short upper-case tokens like "M", "NR" or "UNK", so
+// a formula like "BMI = weight / height^2" or "total = sum of items" isn't
+// read as one. An entry may follow prose in the same segment ("Under 18
+// only. 0 = No"), so the code only has to start a word.
+const CODE = String.raw`-?\d+(?:\.\d+)?|[A-Z]{1,3}`;
+const ENTRY = new RegExp(String.raw`(?:^|[\s.,:(])(${CODE})\s*=\s*(.+)$`);
+
+// A comma only separates entries when another "code =" follows it
+const COMMA_BEFORE_ENTRY = new RegExp(String.raw`,(?=\s*(?:${CODE})\s*=)`);
+
+// Parse notes into { code: label }. Returns null when the notes don't
+// describe at least two codes, as a lone "X = ..." is more likely a
+// definition than a code list; prose around the entries is ignored.
+export const parseValueLabels = (notes) => {
+    if (!notes) return null;
+
+    const labels = {};
+    notes
+        .split(/[;|\n]/)
+        .flatMap((segment) => segment.split(COMMA_BEFORE_ENTRY))
+        .forEach((segment) => {
+            const match = segment.trim().match(ENTRY);
+            if (match && !Object.hasOwn(labels, match[1])) {
+                labels[match[1]] = match[2].trim();
+            }
+        });
+
+    return Object.keys(labels).length > 1 ? labels : null;
+};
+
+// "0 = Never, 1 = Sometimes" for use in messages
+export const formatValueLabels = (labels) =>
+    Object.entries(labels)
+        .map(([code, label]) => `${code} = ${label}`)
+        .join(", ");
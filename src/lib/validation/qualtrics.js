@@ -0,0 +1,78 @@
+// Qualtrics CSV exports carry three header rows: variable names, the question
+// text, and an ImportId JSON blob per column. They also add survey metadata
+// columns that never belong in an NDA submission.
+
+// Metadata columns Qualtrics adds to every response export
+export const QUALTRICS_METADATA_COLUMNS = [
+    "StartDate",
+    "EndDate",
+    "Status",
+    "IPAddress",
+    "Progress",
+    "Duration (in seconds)",
+    "Finished",
+    "RecordedDate",
+    "ResponseId",
+    "RecipientLastName",
+    "RecipientFirstName",
+    "RecipientEmail",
+    "ExternalReference",
+    "LocationLatitude",
+    "LocationLongitude",
+    "DistributionChannel",
+    "UserLanguage",
+    "Q_RecaptchaScore",
+    "Q_RelevantIDDuplicate",
+    "Q_RelevantIDDuplicateScore",
+    "Q_RelevantIDFraudScore",
+    "Q_RelevantIDLastStartDate",
+];
+
+const IMPORT_ID = /^\{\s*"ImportId"\s*:/;
+
+// True when the third row holds Qualtrics ImportId cells
+export const isQualtricsExport = (rows) =>
+    (rows[2] || []).some((cell) => IMPORT_ID.test(cell));
+
+// Strip the question text and ImportId rows, keep the question text as
+// context for mapping suggestions, and drop metadata columns unless asked
+// to keep them. `rows` starts with the variable name row.
+export const prepareQualtricsExport = (rows, { keepMetadata = false } = {}) => {
+    if (!isQualtricsExport(rows)) {
+        return {
+            rows,
+            fieldContext: {},
+            summary: { detected: false, droppedColumns: [] },
+        };
+    }
+
+    const [headers, questions, , ...dataRows] = rows;
+    const keptIndices = headers
+        .map((_, index) => index)
+        .filter(
+            (index) =>
+                keepMetadata ||
+                !QUALTRICS_METADATA_COLUMNS.includes(headers[index])
+        );
+
+    const fieldContext = {};
+    keptIndices.forEach((index) => {
+        const question = (questions[index] || "").trim();
+        if (question && question !== headers[index]) {
+            fieldContext[headers[index]] = question;
+        }
+    });
+
+    const pick = (row) => keptIndices.map((index) => row[index] ?? "");
+
+    return {
+        rows: [pick(headers), ...dataRows.map(pick)],
+        fieldContext,
+        summary: {
+            detected: true,
+            droppedColumns: headers.filter(
+                (_, index) => !keptIndices.includes(index)
+            ),
+        },
+    };
+};
@@ -0,0 +1,134 @@
+import { parseValueLabels } from "./notes.js";
+import { isValueInRange, parseValueRange } from "./valueRange.js";
+
+// Codes an element accepts, keyed by the lower-cased label or spelling that
+// stands for them: labels from the notes ("Often" -> "2") and the range's own
+// literals in any case ("male" -> "Male").
+const buildCodeLookup = (element) => {
+    const range = parseValueRange(element.valueRange);
+    const labels = parseValueLabels(element.notes) || {};
+    const checkable = range && range.type !== "invalid";
+    const lookup = {};
+
+    Object.entries(labels).forEach(([code, label]) => {
+        if (checkable && !isValueInRange(code, range)) return;
+        lookup[label.toLowerCase()] = code;
+    });
+    (checkable ? range.values : []).forEach((value) => {
+        lookup[value.toLowerCase()] = value;
+    });
+
+    return { range: checkable ? range : null, labels, lookup };
+};
+
+// Propose recoding label values (e.g. "Yes", "Often") into the NDA codes they
+// stand for. Only values that aren't already valid are proposed. Returns
+// [{ column, mappedField, map: { value: code }, counts, labels }].
+export const proposeLabelRecodes = (
+    headers,
+    rows,
+    dataElements,
+    mappings = {}
+) => {
+    const elementsByName = {};
+    dataElements.forEach((element) => {
+        elementsByName[element.name] = element;
+    });
+
+    return headers
+        .map((header, colIndex) => {
+            const mappedField = mappings[header] || header;
+            const element = elementsByName[mappedField];
+            if (!element) return null;
+
+            const { range, labels, lookup } = buildCodeLookup(element);
+            if (Object.keys(lookup).length === 0) return null;
+
+            const map = {};
+            const counts = {};
+            rows.forEach((row) => {
+                const value = (row[colIndex] ?? "").toString().trim();
+                if (value === "") return;
+
+                const isValid = range
+                    ? isValueInRange(value, range)
+                    : Object.hasOwn(labels, value);
+                if (isValid) return;
+
+                const key = value.toLowerCase();
+                const code = Object.hasOwn(lookup, key) ? lookup[key] : null;
+                if (code === null || code === value) return;
+                map[value] = code;
+                counts[value] = (counts[value] || 0) + 1;
+            });
+
+            if (Object.keys(map).length === 0) return null;
+            return { column: header, mappedField, map, counts, labels };
+        })
+        .filter(Boolean);
+};
+
+// Apply recode maps ({ [column]: { from: to } }) to data rows. Returns the
+// new rows and how many cells changed.
+export const applyRecodes = (headers, rows, recodes = {}) => {
+    const columnMaps = headers.map((header) => recodes[header] || null);
+    if (!columnMaps.some(Boolean)) return { rows, count: 0 };
+
+    let count = 0;
+    const recodedRows = rows.map((row) =>
+        row.map((value, colIndex) => {
+            const map = columnMaps[colIndex];
+            const key = (value ?? "").toString().trim();
+            if (!map || !Object.hasOwn(map, key)) return value;
+            count++;
+            return map[key];
+        })
+    );
+
+    return { rows: recodedRows, count };
+};
+
+// Distinct invalid values per column from validateValues errors:
+// [{ column, mappedField, values: { value: count } }]
+export const groupInvalidValues = (valueErrors) => {
+    const columns = {};
+    valueErrors.forEach(({ column, mappedField, value }) => {
+        const key = (value ?? "").toString().trim();
+        if (!columns[column]) {
+            columns[column] = { column, mappedField, values: {} };
+        }
+        columns[column].values[key] = (columns[column].values[key] || 0) + 1;
+    });
+    return Object.values(columns);
+};
+
+// Values worth offering as recode targets for an element: the range's
+// literals (missing codes included) and the codes described in its notes
+export const getRecodeTargets = (element) => {
+    if (!element) return [];
+    const range = parseValueRange(element.valueRange);
+    const labels = parseValueLabels(element.notes) || {};
+
+    return [
+        ...new Set([
+            ...(range?.values || []),
+            ...Object.keys(labels).filter(
+                (code) =>
+                    !range ||
+                    range.type === "invalid" ||
+                    isValueInRange(code, range)
+            ),
+        ]),
+    ].map((value) => ({ value, label: labels[value] || null }));
+};
+
+// Turn recodes saved per element ({ [field]: { from: to } }) into the
+// per-column maps applyRecodes takes, following the current mappings.
+export const resolveFieldRecodes = (headers, mappings, fieldRecodes = {}) => {
+    const recodes = {};
+    headers.forEach((header) => {
+        const map = fieldRecodes[mappings[header] || header];
+        if (map) recodes[header] = map;
+    });
+    return recodes;
+};
@@ -0,0 +1,164 @@
+// REDCap imports: a data export plus the project's data dictionary CSV. The
+// dictionary tells us each variable's label and choice codes, which we use to
+// decode label exports back to codes and to suggest NDA element mappings.
+
+// Dictionary columns we read, matched against the lower-cased header
+const DictionaryColumns = {
+    NAME: "variable / field name",
+    TYPE: "field type",
+    LABEL: "field label",
+    CHOICES: "choices, calculations, or slider labels",
+};
+
+// Field types whose values come from a fixed list of choices
+const CHOICE_TYPES = ["radio", "dropdown", "checkbox", "yesno", "truefalse"];
+
+const FIXED_CHOICES = {
+    yesno: { 1: "Yes", 0: "No" },
+    truefalse: { 1: "True", 0: "False" },
+};
+
+// Checkbox columns are exported as one column per choice: var___1, var___2
+const CHECKBOX_COLUMN = /^(.+)___(.+)$/;
+
+const stripHtml = (text) =>
+    (text || "")
+        .replace(/<[^>]*>/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+
+// Parse "1, Yes | 0, No" into { 1: "Yes", 0: "No" }
+export const parseRedcapChoices = (choices) => {
+    const parsed = {};
+    (choices || "").split("|").forEach((choice) => {
+        const separator = choice.indexOf(",");
+        if (separator === -1) return;
+        const code = choice.slice(0, separator).trim();
+        if (code) parsed[code] = stripHtml(choice.slice(separator + 1));
+    });
+    return parsed;
+};
+
+// Turn the rows of a REDCap data dictionary CSV into { [variable]: field }
+export const parseRedcapDictionary = (rows) => {
+    const [headerRow = [], ...fieldRows] = rows;
+    const headers = headerRow.map((header) => header.toLowerCase().trim());
+    const column = (name) => headers.findIndex((h) => h.startsWith(name));
+
+    const nameIndex = column(DictionaryColumns.NAME);
+    if (nameIndex === -1) {
+        throw new Error(
+            'Not a REDCap data dictionary: no "Variable / Field Name" column'
+        );
+    }
+    const typeIndex = column(DictionaryColumns.TYPE);
+    const labelIndex = column(DictionaryColumns.LABEL);
+    const choicesIndex = column(DictionaryColumns.CHOICES);
+
+    const fields = {};
+    fieldRows.forEach((row) => {
+        const name = row[nameIndex];
+        if (!name) return;
+
+        const type = (row[typeIndex] || "").toLowerCase();
+        fields[name] = {
+            name,
+            type,
+            label: stripHtml(row[labelIndex]),
+            choices: CHOICE_TYPES.includes(type)
+                ? FIXED_CHOICES[type] || parseRedcapChoices(row[choicesIndex])
+                : null,
+        };
+    });
+
+    return fields;
+};
+
+// Look up a checkbox column (var___code) in the dictionary
+const findCheckboxChoice = (header, dictionary) => {
+    const match = header.match(CHECKBOX_COLUMN);
+    if (!match) return null;
+
+    const field = dictionary[match[1]];
+    if (field?.type !== "checkbox") return null;
+
+    // REDCap lower-cases codes and swaps "-" for "_" in column names
+    const code = Object.keys(field.choices || {}).find(
+        (choice) => choice.toLowerCase().replace(/-/g, "_") === match[2]
+    );
+    return { field, code: code ?? match[2] };
+};
+
+// Decode a single value from a "labels" export back to its choice code.
+// Values that are already codes are left alone.
+const decodeChoice = (value, choices) => {
+    if (!choices || value === "" || Object.hasOwn(choices, value)) {
+        return value;
+    }
+
+    const lowerValue = value.toLowerCase();
+    const code = Object.keys(choices).find(
+        (choice) => choices[choice].toLowerCase() === lowerValue
+    );
+    return code ?? value;
+};
+
+const CHECKBOX_LABELS = { checked: "1", unchecked: "0" };
+
+// Prepare a REDCap export for validation: decode choice labels to codes,
+// recognise checkbox columns, and collect field labels to help suggest NDA
+// element mappings. `rows` starts with the header row.
+export const prepareRedcapExport = (rows, dictionary) => {
+    const [headers = [], ...dataRows] = rows;
+    const fieldContext = {};
+    const columnChoices = headers.map(() => null);
+    const summary = {
+        matchedFields: [],
+        checkboxColumns: [],
+        unmatchedFields: [],
+        decodedValues: 0,
+    };
+
+    headers.forEach((header, index) => {
+        const field = dictionary[header];
+        if (field) {
+            summary.matchedFields.push(header);
+            if (field.label) fieldContext[header] = field.label;
+            columnChoices[index] =
+                field.type === "checkbox" ? null : field.choices;
+            return;
+        }
+
+        const checkbox = findCheckboxChoice(header, dictionary);
+        if (checkbox) {
+            summary.checkboxColumns.push(header);
+            const choiceLabel = checkbox.field.choices?.[checkbox.code];
+            fieldContext[header] = [checkbox.field.label, choiceLabel]
+                .filter(Boolean)
+                .join(": ");
+            columnChoices[index] = CHECKBOX_LABELS;
+            return;
+        }
+
+        summary.unmatchedFields.push(header);
+    });
+
+    const decodedRows = dataRows.map((row) =>
+        row.map((value, index) => {
+            const choices = columnChoices[index];
+            if (!choices) return value;
+
+            const label = value.toLowerCase();
+            const decoded =
+                choices !== CHECKBOX_LABELS
+                    ? decodeChoice(value, choices)
+                    : Object.hasOwn(CHECKBOX_LABELS, label)
+                    ? CHECKBOX_LABELS[label]
+                    : value;
+            if (decoded !== value) summary.decodedValues++;
+            return decoded;
+        })
+    );
+
+    return { rows: [headers, ...decodedRows], fieldContext, summary };
+};
@@ -0,0 +1,18 @@
+// Required-status values NDA publishes for data elements. Any element in the
+// structure is a known field whatever its status; only Required elements must
+// be present in every submission.
+export const RequiredStatus = {
+    REQUIRED: "Required",
+    RECOMMENDED: "Recommended",
+    CONDITIONAL: "Conditional",
+    OPTIONAL: "Optional",
+};
+
+// Group element names by their required status. Elements with a status NDA
+// does not document end up under their own key so nothing is dropped.
+export const groupElementsByStatus = (dataElements) =>
+    dataElements.reduce((groups, element) => {
+        const status = element.required || RequiredStatus.OPTIONAL;
+        (groups[status] = groups[status] || []).push(element.name);
+        return groups;
+    }, Object.fromEntries(Object.values(RequiredStatus).map((status) => [status, []])));
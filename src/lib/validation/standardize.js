@@ -0,0 +1,224 @@
+import { createDateTransform } from "./dates.js";
+import { parseValueLabels } from "./notes.js";
+import { isValueInRange, parseValueRange } from "./valueRange.js";
+
+// Helper function to standardize handedness values
+export const standardizeHandedness = (value) => {
+    const handednessMap = {
+        left: "L",
+        l: "L",
+        right: "R",
+        r: "R",
+        both: "B",
+        ambidextrous: "B",
+    };
+
+    // Convert to lowercase for consistent matching
+    const lowerValue = value?.toString().toLowerCase();
+    return Object.hasOwn(handednessMap, lowerValue)
+        ? handednessMap[lowerValue]
+        : value;
+};
+
+// Helper function to standardize boolean values to numeric
+export const standardizeBinary = (value) => {
+    const binaryMap = {
+        true: "1",
+        false: "0",
+        t: "1",
+        f: "0",
+        TRUE: "1",
+        FALSE: "0",
+        True: "1",
+        False: "0",
+    };
+
+    // Try direct match first
+    if (Object.hasOwn(binaryMap, value)) return binaryMap[value];
+
+    // Try lowercase match
+    const lowerValue = value?.toString().toLowerCase();
+    return Object.hasOwn(binaryMap, lowerValue) ? binaryMap[lowerValue] : value;
+};
+
+// Sex and gender answers to NDA's M/F/O/NR codes. Numeric codes vary between
+// survey tools, so they are only mapped when the element notes say what they
+// mean (see sexCodesFromNotes).
+const SEX_MAP = {
+    m: "M",
+    male: "M",
+    man: "M",
+    boy: "M",
+    f: "F",
+    female: "F",
+    woman: "F",
+    girl: "F",
+    o: "O",
+    other: "O",
+    intersex: "O",
+    "non-binary": "O",
+    nonbinary: "O",
+    nr: "NR",
+    "not reported": "NR",
+    "prefer not to say": "NR",
+    "prefer not to answer": "NR",
+    unknown: "NR",
+};
+
+// Extra sex codes spelled out in the element notes, e.g. "1 = Male; 2 = Female"
+const sexCodesFromNotes = (notes) => {
+    const codes = {};
+    Object.entries(parseValueLabels(notes) || {}).forEach(([code, label]) => {
+        const key = label.toLowerCase();
+        if (!Object.hasOwn(SEX_MAP, key) || code === SEX_MAP[key]) return;
+        codes[code.toLowerCase()] = SEX_MAP[key];
+    });
+    return codes;
+};
+
+// Standardization rules. A rule applies to a column when any of its match
+// criteria hold:
+//   headers     column header names (strings or RegExps)
+//   names       names of the element the column maps to (strings or RegExps)
+//   types       element types, e.g. "Integer"
+//   rangeValues values the element's valueRange must all list
+//   valueRange  RegExp tested against the raw valueRange string
+// and rewrites values with a `map` lookup table (matched case-insensitively),
+// a `transform` function, or `createTransform(columnValues, settings,
+// element)` for rules that need to see the whole column or the element first;
+// `settings` are the user's choices for that column (see standardizeValues).
+// `describe(count)` is the line shown in the validation summary. Rules are
+// tried in order and the first match wins. Values the mapped element already
+// accepts are never rewritten.
+export const DEFAULT_STANDARDIZATION_RULES = [
+    {
+        id: "handedness",
+        match: { headers: ["handedness"], rangeValues: ["R", "L"] },
+        transform: standardizeHandedness,
+        describe: (count) =>
+            `Standardized ${count} handedness values to NDA format`,
+    },
+    {
+        id: "sex",
+        // Only elements coded M/F: a gender column may use its own codes
+        match: { rangeValues: ["M", "F"] },
+        createTransform: (values, settings, element) => {
+            const map = { ...SEX_MAP, ...sexCodesFromNotes(element?.notes) };
+            return (value) => applyRule({ map }, value);
+        },
+        describe: (count) => `Standardized ${count} sex values to M/F/O/NR`,
+    },
+    {
+        id: "binary",
+        match: { headers: [/_flag$/, /boolean/], rangeValues: ["0", "1"] },
+        transform: standardizeBinary,
+        describe: (count) => `Converted ${count} boolean values to 0/1 format`,
+    },
+    {
+        id: "dates",
+        match: { types: ["Date"] },
+        createTransform: (values, { dateFormat }) =>
+            createDateTransform(values, dateFormat),
+        describe: (count) => `Converted ${count} dates to MM/DD/YYYY`,
+    },
+];
+
+const matchesName = (patterns = [], name) =>
+    Boolean(name) &&
+    patterns.some((pattern) =>
+        pattern instanceof RegExp ? pattern.test(name) : pattern === name
+    );
+
+const listsAllValues = (valueRange, values = []) => {
+    if (!valueRange || values.length === 0) return false;
+    const listed = valueRange.split(";").map((value) => value.trim());
+    return values.every((value) => listed.includes(value));
+};
+
+// Whether a rule applies to a column, given its header and the element it
+// maps to (if any)
+export const ruleMatches = (rule, header, element) => {
+    const { headers, names, types, rangeValues, valueRange } = rule.match;
+    return (
+        matchesName(headers, header) ||
+        matchesName(names, element?.name) ||
+        Boolean(element && types?.includes(element.type)) ||
+        listsAllValues(element?.valueRange, rangeValues) ||
+        Boolean(element?.valueRange && valueRange?.test(element.valueRange))
+    );
+};
+
+// Apply a rule to a single value. Only the map's own keys count, so values
+// like "constructor" pass through.
+export const applyRule = (rule, value) => {
+    if (rule.transform) return rule.transform(value);
+
+    const key = value?.toString().trim().toLowerCase();
+    return Object.hasOwn(rule.map, key) ? rule.map[key] : value;
+};
+
+// Initial standardization before validation. Each column gets the first rule
+// matching its header or mapped element; `columnSettings` holds per-column
+// choices by header, e.g. { visit_date: { dateFormat: "DD/MM/YYYY" } }.
+// Returns the standardized data rows together with how many values each
+// rule changed, keyed by rule id.
+export const standardizeValues = (
+    headers,
+    rows,
+    {
+        dataElements = [],
+        mappings = {},
+        rules = DEFAULT_STANDARDIZATION_RULES,
+        columnSettings = {},
+    } = {}
+) => {
+    const elementsByName = {};
+    dataElements.forEach((element) => {
+        elementsByName[element.name] = element;
+    });
+
+    const columnElements = headers.map(
+        (header = "") => elementsByName[mappings[header] || header]
+    );
+    const columnRules = headers.map((header = "", colIndex) =>
+        rules.find((rule) =>
+            ruleMatches(rule, header, columnElements[colIndex])
+        )
+    );
+
+    // Values the element's valueRange accepts are left as they are
+    const columnRanges = columnElements.map((element) => {
+        const range = parseValueRange(element?.valueRange);
+        return range && range.type !== "invalid" ? range : null;
+    });
+
+    const columnTransforms = columnRules.map((rule, colIndex) => {
+        if (!rule) return null;
+        const transform = rule.createTransform
+            ? rule.createTransform(
+                  rows.map((row) => row[colIndex]),
+                  columnSettings[headers[colIndex]] || {},
+                  columnElements[colIndex]
+              )
+            : (value) => applyRule(rule, value);
+
+        const range = columnRanges[colIndex];
+        if (!range) return transform;
+        return (value) =>
+            isValueInRange(value, range) ? value : transform(value);
+    });
+
+    const counts = Object.fromEntries(rules.map((rule) => [rule.id, 0]));
+    const standardizedRows = rows.map((row) =>
+        row.map((value, colIndex) => {
+            const rule = columnRules[colIndex];
+            if (!rule) return value;
+
+            const standardized = columnTransforms[colIndex](value);
+            if (standardized !== value) counts[rule.id]++;
+            return standardized;
+        })
+    );
+
+    return { rows: standardizedRows, counts };
+};
@@ -0,0 +1,50 @@
+// Structural checks on the parsed file, run before any value checks: a
+// header that appears twice or is blank, or a row whose cell count doesn't
+// match the header, means values can't be matched to their columns.
+
+// Returns { duplicateHeaders: [{ header, columns }], blankHeaders: [column],
+// raggedRows: [{ row, cells, expected }] }. Columns count from 1; rows count
+// the header as row 1.
+export const checkStructure = (headers, rows) => {
+    const columnsByHeader = {};
+    const blankHeaders = [];
+    headers.forEach((header, index) => {
+        const name = (header ?? "").trim();
+        if (name === "") {
+            blankHeaders.push(index + 1);
+            return;
+        }
+        (columnsByHeader[name] = columnsByHeader[name] || []).push(index + 1);
+    });
+
+    const duplicateHeaders = Object.entries(columnsByHeader)
+        .filter(([, columns]) => columns.length > 1)
+        .map(([header, columns]) => ({ header, columns }));
+
+    // Extra cells are harmless when they're empty (e.g. a trailing delimiter)
+    const raggedRows = [];
+    rows.forEach((row, index) => {
+        const cells = row.length;
+        const hasExtraValues = row
+            .slice(headers.length)
+            .some((cell) => (cell ?? "").trim() !== "");
+        if (cells < headers.length || hasExtraValues) {
+            raggedRows.push({
+                row: index + 2,
+                cells,
+                expected: headers.length,
+            });
+        }
+    });
+
+    return { duplicateHeaders, blankHeaders, raggedRows };
+};
+
+export const hasStructureErrors = ({
+    duplicateHeaders,
+    blankHeaders,
+    raggedRows,
+}) =>
+    duplicateHeaders.length > 0 ||
+    blankHeaders.length > 0 ||
+    raggedRows.length > 0;
@@ -0,0 +1,36 @@
+import { stringifyCSV } from "./csv.js";
+
+export const LineEndings = {
+    CRLF: "\r\n",
+    LF: "\n",
+};
+
+// Split a structure shortName into the name and version NDA expects on the
+// first row of a submission file, e.g. "demo02" -> { name: "demo",
+// version: "02" }. NDA pads versions to two digits, so a longer run of
+// trailing digits keeps the rest in the name ("cbcl1_501" -> "cbcl1_5", "01").
+export const parseShortName = (shortName) => {
+    const match = (shortName || "").match(/^(.*?)(\d+)$/);
+    if (!match) return { name: shortName || "", version: "" };
+
+    const [, prefix, digits] = match;
+    if (digits.length <= 2 || prefix === "") {
+        return { name: prefix, version: digits };
+    }
+    return {
+        name: prefix + digits.slice(0, -2),
+        version: digits.slice(-2),
+    };
+};
+
+// Build an NDA submission file: "name,version" on the first row, then the
+// element headers, then the data rows.
+export const buildSubmissionCSV = ({
+    shortName,
+    headers,
+    rows,
+    lineEnding = LineEndings.CRLF,
+}) => {
+    const { name, version } = parseShortName(shortName);
+    return stringifyCSV([[name, version], headers, ...rows], { lineEnding });
+};
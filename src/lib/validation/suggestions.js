@@ -0,0 +1,208 @@
+export const calculateSimilarity = (str1, str2) => {
+    const track = Array(str2.length + 1)
+        .fill(null)
+        .map(() => Array(str1.length + 1).fill(null));
+    for (let i = 0; i <= str1.length; i += 1) {
+        track[0][i] = i;
+    }
+    for (let j = 0; j <= str2.length; j += 1) {
+        track[j][0] = j;
+    }
+    for (let j = 1; j <= str2.length; j += 1) {
+        for (let i = 1; i <= str1.length; i += 1) {
+            const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
+            track[j][i] = Math.min(
+                track[j][i - 1] + 1,
+                track[j - 1][i] + 1,
+                track[j - 1][i - 1] + indicator
+            );
+        }
+    }
+    return (
+        1 - track[str2.length][str1.length] / Math.max(str1.length, str2.length)
+    );
+};
+
+// Words too common in labels and descriptions to say anything about a match
+const STOP_WORDS = new Set([
+    "a",
+    "an",
+    "and",
+    "are",
+    "at",
+    "by",
+    "did",
+    "do",
+    "does",
+    "for",
+    "from",
+    "has",
+    "have",
+    "how",
+    "in",
+    "is",
+    "it",
+    "of",
+    "on",
+    "or",
+    "the",
+    "this",
+    "to",
+    "was",
+    "what",
+    "with",
+    "you",
+    "your",
+]);
+
+// Minimum share of context words an element must cover to be suggested
+const CONTEXT_MATCH_THRESHOLD = 0.6;
+
+const tokenize = (text) =>
+    (text || "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+
+// Share of the context's words that also appear in the element's name or
+// description
+const contextSimilarity = (context, element) => {
+    const contextWords = new Set(tokenize(context));
+    if (contextWords.size === 0) return 0;
+
+    const elementWords = new Set([
+        ...tokenize(element.description),
+        ...tokenize(element.name.replace(/_/g, " ")),
+    ]);
+    let shared = 0;
+    contextWords.forEach((word) => {
+        if (elementWords.has(word)) shared++;
+    });
+    return shared / contextWords.size;
+};
+
+// How much each signal counts towards a suggestion's score
+const SCORE_WEIGHTS = {
+    name: 0.5,
+    tokens: 0.3,
+    description: 0.2,
+};
+
+// Minimum score for an element to be suggested, and how many to suggest
+const SUGGESTION_THRESHOLD = 0.4;
+const MAX_SUGGESTIONS = 3;
+
+// Words in a header or element name: split on punctuation, camelCase and
+// letter/digit boundaries, so "phq9_total" gives ["phq", "total"]
+const nameTokens = (text) =>
+    tokenize(
+        (text || "")
+            .replace(/([a-z])([A-Z])/g, "$1 $2")
+            .replace(/([a-zA-Z])([0-9])/g, "$1 $2")
+            .replace(/([0-9])([a-zA-Z])/g, "$1 $2")
+    );
+
+const squash = (text) => (text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Share of words the two lists have in common (Dice coefficient)
+const tokenOverlap = (words, otherWords) => {
+    if (words.length === 0 || otherWords.length === 0) return 0;
+    const other = new Set(otherWords);
+    const shared = new Set(words.filter((word) => other.has(word))).size;
+    return (2 * shared) / (new Set(words).size + other.size);
+};
+
+// Edit-distance similarity, counting a name that starts or ends with the
+// other as a near match
+const nameSimilarity = (header, name) => {
+    if (!header || !name) return 0;
+    if (header === name) return 1;
+    const contains =
+        Math.min(header.length, name.length) >= 3 &&
+        (name.startsWith(header) ||
+            name.endsWith(header) ||
+            header.startsWith(name) ||
+            header.endsWith(name));
+    return Math.max(calculateSimilarity(header, name), contains ? 0.9 : 0);
+};
+
+// Score one element against a header. Returns the overall score and the
+// signal that contributed most to it.
+const scoreElement = (header, headerWords, element) => {
+    const squashedHeader = squash(header);
+    const aliases = element.aliases || [];
+
+    const nameScore = nameSimilarity(squashedHeader, squash(element.name));
+    const aliasScore = Math.max(
+        0,
+        ...aliases.map((alias) => nameSimilarity(squashedHeader, squash(alias)))
+    );
+
+    // A header spelled like the name or an alias needs no other evidence
+    if (nameScore === 1 || aliasScore === 1) {
+        return {
+            similarity: 1,
+            matchedOn: nameScore === 1 ? "name" : "alias",
+        };
+    }
+
+    const descriptionWords = new Set(tokenize(element.description));
+    const parts = {
+        [aliasScore > nameScore ? "alias" : "name"]:
+            SCORE_WEIGHTS.name * Math.max(nameScore, aliasScore),
+        tokens:
+            SCORE_WEIGHTS.tokens *
+            Math.max(
+                tokenOverlap(headerWords, nameTokens(element.name)),
+                ...aliases.map((alias) =>
+                    tokenOverlap(headerWords, nameTokens(alias))
+                )
+            ),
+        description:
+            SCORE_WEIGHTS.description *
+            (headerWords.length === 0
+                ? 0
+                : headerWords.filter((word) => descriptionWords.has(word))
+                      .length / headerWords.length),
+    };
+
+    const [matchedOn] = Object.entries(parts).sort((a, b) => b[1] - a[1])[0];
+    return {
+        similarity: Object.values(parts).reduce((sum, part) => sum + part, 0),
+        matchedOn,
+    };
+};
+
+// Suggest elements for an unknown header, best first. Each suggestion's
+// `similarity` (0-1) combines edit distance to the element name or an alias,
+// shared words, and header words found in the element description;
+// `matchedOn` names the signal that counted most. `context` is optional
+// descriptive text for the column (e.g. a REDCap field label), used when the
+// header name alone finds nothing.
+export const findSimilarFields = (field, dataElements, context = null) => {
+    const headerWords = nameTokens(field);
+
+    const scored = dataElements
+        .filter((el) => el.name !== field)
+        .map((el) => ({
+            name: el.name,
+            aliases: el.aliases || [],
+            ...scoreElement(field, headerWords, el),
+        }))
+        .filter((item) => item.similarity >= SUGGESTION_THRESHOLD)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, MAX_SUGGESTIONS);
+
+    if (scored.length > 0 || !context) return scored;
+
+    return dataElements
+        .map((el) => ({
+            name: el.name,
+            similarity: contextSimilarity(context, el),
+            aliases: el.aliases || [],
+            matchedOn: "context",
+        }))
+        .filter((item) => item.similarity >= CONTEXT_MATCH_THRESHOLD)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, MAX_SUGGESTIONS);
+};
@@ -0,0 +1,93 @@
+// Value checks for the NDA element types. Each checker returns true when the
+// (trimmed, non-empty) value is acceptable for that type.
+const typeCheckers = {
+    Integer: (value) => /^[-+]?\d+$/.test(value),
+    Float: (value) => /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value),
+    // NDA expects dates as MM/DD/YYYY, optionally followed by a time
+    Date: (value) => {
+        const match = value.match(
+            /^(\d{1,2})\/(\d{1,2})\/(\d{4})(\s+\d{1,2}:\d{2}(:\d{2})?)?$/
+        );
+        if (!match) return false;
+
+        const [, month, day, year] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+        return (
+            date.getFullYear() === year &&
+            date.getMonth() === month - 1 &&
+            date.getDate() === day
+        );
+    },
+    Boolean: (value) => /^(0|1|true|false)$/i.test(value),
+};
+
+// NDA GUIDs are NDAR plus 8 characters; pseudo-GUIDs (issued when the GUID
+// tool can't be used) are NDAR_INV plus 8
+const GUID_PATTERN = /^NDAR[A-Z0-9]{8}$/;
+const PSEUDO_GUID_PATTERN = /^NDAR_INV[A-Z0-9]{8}$/;
+
+export const isValidGUID = (value) =>
+    GUID_PATTERN.test(value) || PSEUDO_GUID_PATTERN.test(value);
+
+// Explain what's wrong with a value that isn't a valid GUID
+const describeGUIDProblem = (value) => {
+    if (isValidGUID(value.toUpperCase())) {
+        return `GUID "${value}" must be upper-case`;
+    }
+    if (/^NDAR_INV/i.test(value)) {
+        return `Pseudo-GUID "${value}" should be NDAR_INV followed by 8 letters or digits`;
+    }
+    if (/^NDAR/i.test(value)) {
+        return `GUID "${value}" should be NDAR followed by 8 letters or digits`;
+    }
+    return `"${value}" is not an NDA GUID (NDARXXXXXXXX) or pseudo-GUID (NDAR_INVXXXXXXXX)`;
+};
+
+// Check a single cell against its element's type and size. Returns null when
+// the value is fine, otherwise an error describing the problem.
+export const validateType = (value, element) => {
+    if (!element || value === undefined || value === null) return null;
+
+    const strValue = value.toString().trim();
+    if (strValue === "") return null;
+
+    if (element.type === "GUID") {
+        return isValidGUID(strValue)
+            ? null
+            : {
+                  errorType: "guid",
+                  expected: "GUID",
+                  message: describeGUIDProblem(strValue),
+              };
+    }
+
+    const checker = typeCheckers[element.type];
+    if (checker && !checker(strValue)) {
+        return {
+            errorType: "type",
+            expected: element.type,
+            message: `Value "${strValue}" is not a valid ${element.type}${
+                element.type === "Date" ? " (expected MM/DD/YYYY)" : ""
+            }`,
+        };
+    }
+
+    const size = Number(element.size);
+    if (element.type === "String" && size > 0 && strValue.length > size) {
+        return {
+            errorType: "size",
+            expected: `String(${size})`,
+            message: `Value is ${strValue.length} characters long; ${element.name} allows at most ${size}`,
+        };
+    }
+
+    return null;
+};
+
+// Distinct subjects with an invalid GUID among validateValues errors
+export const countInvalidSubjects = (valueErrors) =>
+    new Set(
+        valueErrors
+            .filter((error) => error.errorType === "guid")
+            .map((error) => error.value.toString().trim())
+    ).size;
@@ -0,0 +1,87 @@
+// Web Worker that reads, parses and validates an upload off the main thread.
+// Messages in: { file } to stream a CSV/TSV file, or { rows } for rows that
+// were already read (e.g. from an Excel sheet), plus dataElements and the
+// validateRows options. Messages out: "progress", then "result" or "error".
+import { createCSVParser, detectDelimiter } from "./csv.js";
+import { validateRows } from "./engine.js";
+
+// Size of each slice read from the file
+const CHUNK_SIZE = 1024 * 1024;
+
+const encodingFromBOM = (bytes) => {
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+    return "utf-8";
+};
+
+// Decode and parse the file chunk by chunk so progress can be reported.
+// The delimiter is detected from the first chunk.
+const streamRecords = async (file, encoding, onProgress) => {
+    // TextDecoder drops the byte order mark itself
+    const decoder = new TextDecoder(encoding, { fatal: encoding === "utf-8" });
+    const rows = [];
+    let parser = null;
+    let delimiter = null;
+
+    const addRows = (parsed) => {
+        parsed.forEach((row) => rows.push(row));
+    };
+
+    for (let start = 0; start < file.size; start += CHUNK_SIZE) {
+        const end = Math.min(start + CHUNK_SIZE, file.size);
+        const buffer = await file.slice(start, end).arrayBuffer();
+        const text = decoder.decode(buffer, { stream: end < file.size });
+
+        if (!parser) {
+            delimiter = detectDelimiter(text);
+            parser = createCSVParser(delimiter);
+        }
+        addRows(parser.push(text));
+        onProgress(end);
+    }
+
+    if (parser) addRows(parser.end());
+    return { rows, delimiter };
+};
+
+const readCSVFile = async (file, onProgress) => {
+    const bytes = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    const encoding = encodingFromBOM(bytes);
+
+    try {
+        return await streamRecords(file, encoding, onProgress);
+    } catch (error) {
+        // Not valid UTF-8: start again assuming Windows-1252
+        if (encoding === "utf-8" && error instanceof TypeError) {
+            return streamRecords(file, "windows-1252", onProgress);
+        }
+        throw error;
+    }
+};
+
+self.onmessage = async ({ data }) => {
+    const { file, rows, dataElements, options } = data;
+
+    try {
+        const parsed = file
+            ? await readCSVFile(file, (loaded) =>
+                  self.postMessage({
+                      type: "progress",
+                      stage: "reading",
+                      loaded,
+                      total: file.size,
+                  })
+              )
+            : { rows, delimiter: null };
+
+        self.postMessage({ type: "progress", stage: "validating" });
+
+        const report = validateRows(parsed.rows, dataElements, options);
+        self.postMessage({
+            type: "result",
+            report: { ...report, delimiter: parsed.delimiter },
+        });
+    } catch (error) {
+        self.postMessage({ type: "error", message: error.message });
+    }
+};
@@ -0,0 +1,136 @@
+// NDA valueRange grammar: parts separated by ";", each either a numeric range
+// "min::max" (integers or decimals, optionally negative, spaces allowed
+// around "::") or a literal value. Ranges and literals can be mixed, e.g.
+// "0::4; 6::10; 999" or "1::5; -777; NR".
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+const isNumber = (text) => NUMBER.test(text);
+
+// Parse a single "min::max" part
+const parseRangePart = (part) => {
+    const bounds = part.split("::").map((bound) => bound.trim());
+    if (bounds.length !== 2 || !bounds.every(isNumber)) {
+        throw new Error(`"${part}" is not a numeric range like "0::10"`);
+    }
+
+    const [min, max] = bounds.map(Number);
+    if (min > max) {
+        throw new Error(`"${part}" has a minimum above its maximum`);
+    }
+    return { min, max };
+};
+
+// Returns { type: "range" | "enum", ranges, values, original } or, when the
+// definition can't be read, { type: "invalid", error, original } so callers
+// can warn instead of silently accepting every value.
+export const parseValueRange = (rangeStr) => {
+    if (!rangeStr || !rangeStr.trim()) return null;
+
+    const parts = rangeStr
+        .split(";")
+        .map((part) => part.trim())
+        .filter(Boolean);
+
+    try {
+        const ranges = parts
+            .filter((part) => part.includes("::"))
+            .map(parseRangePart);
+        const values = parts.filter((part) => !part.includes("::"));
+
+        return {
+            type: ranges.length > 0 ? "range" : "enum",
+            ranges,
+            values,
+            original: rangeStr,
+        };
+    } catch (error) {
+        return {
+            type: "invalid",
+            error: `Could not parse valueRange "${rangeStr}": ${error.message}`,
+            original: rangeStr,
+        };
+    }
+};
+
+// Find the literal in the range that a value stands for. Numbers compare
+// numerically ("1.0" is "1"); other values must match exactly, including case.
+export const findListedValue = (value, range) => {
+    if (!range?.values) return undefined;
+
+    const strValue = (value ?? "").toString().trim();
+    return range.values.find((listed) =>
+        isNumber(listed) && isNumber(strValue)
+            ? Number(listed) === Number(strValue)
+            : listed === strValue
+    );
+};
+
+// A listed string value that only differs from `value` by case, e.g. "Y" for
+// "y". NDA enums are case-sensitive, so these are violations worth naming.
+export const findCaseMismatch = (value, range) => {
+    if (!range?.values) return undefined;
+
+    const lowerValue = (value ?? "").toString().trim().toLowerCase();
+    return range.values.find(
+        (listed) => !isNumber(listed) && listed.toLowerCase() === lowerValue
+    );
+};
+
+export const isValueInRange = (value, range) => {
+    if (!range) return true;
+    if (!value || value.toString().trim() === "") return true;
+
+    // Convert value to string for initial processing
+    const strValue = value.toString().trim();
+
+    switch (range.type) {
+        case "range":
+        case "enum": {
+            // Listed values first (-777, -999, "NR" etc)
+            if (findListedValue(strValue, range) !== undefined) return true;
+
+            // Then the numeric ranges
+            if (!isNumber(strValue)) return false;
+            const numValue = Number(strValue);
+            return range.ranges.some(
+                ({ min, max }) => numValue >= min && numValue <= max
+            );
+        }
+        default:
+            // Unreadable definitions are reported separately
+            return true;
+    }
+};
+
+// NDA missing-data codes listed in a range, e.g. "-999" or "999" in
+// "0::120; -777; 999". These are the values to submit in place of a blank.
+export const getMissingCodes = (range) => {
+    if (!range?.values) return [];
+
+    return range.values.filter((value) => {
+        if (!/^-?\d+$/.test(value)) return false;
+        const number = Number(value);
+        if (
+            range.ranges.some(({ min, max }) => number >= min && number <= max)
+        ) {
+            return false;
+        }
+        return number < 0 || /^9{3,}$/.test(value);
+    });
+};
+
+// Warnings for elements whose valueRange can't be parsed; their values are
+// not range-checked.
+export const getValueRangeWarnings = (dataElements) =>
+    dataElements
+        .filter((element) => element.valueRange)
+        .map((element) => ({
+            field: element.name,
+            range: parseValueRange(element.valueRange),
+        }))
+        .filter(({ range }) => range?.type === "invalid")
+        .map(({ field, range }) => ({
+            field,
+            valueRange: range.original,
+            message: range.error,
+        }));